@@ -0,0 +1,13 @@
+/** @type {import('next').NextConfig} */
+const nextConfig = {
+  reactStrictMode: true,
+  experimental: {
+    // Model and queue files are read with fs at request time, so bundle them
+    // with the API routes.
+    outputFileTracingIncludes: {
+      '/api/*': ['./models/**/*', './data/**/*'],
+    },
+  },
+}
+
+export default nextConfig
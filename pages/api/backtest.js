@@ -0,0 +1,12 @@
+import { loadBacktest } from "../../utils/modelStore";
+
+export default function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error:"Method not allowed" });
+  }
+
+  const report = loadBacktest();
+  if (!report) return res.status(404).json({ error:"No backtest yet. Run npm run backtest" });
+  res.status(200).json(report);
+}
@@ -0,0 +1,16 @@
+import { scoreCsv } from "../../utils/batch";
+
+// Keep in step with BATCH_LIMIT_MB in pages/index.js.
+export const config = { api: { bodyParser: { sizeLimit:"5mb" } } };
+
+export default function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error:"Method not allowed" });
+  }
+  if (typeof req.body?.csv !== "string") {
+    return res.status(400).json({ error:"Expected { csv } with the file contents" });
+  }
+
+  res.status(200).json(scoreCsv(req.body.csv));
+}
@@ -0,0 +1,36 @@
+import { simulatePrediction } from "../../utils/predict";
+import { validateFeatures } from "../../utils/validate";
+import { loadModel } from "../../utils/modelStore";
+import { listSnapshots, loadSnapshot } from "../../utils/queueStore";
+import { projectTimeline } from "../../utils/history";
+import { OUTPUT_FIELDS } from "../../utils/portfolio";
+
+export const config = { api: { bodyParser: { sizeLimit:"2mb" } } };
+
+// POST { projects:[{ id, inputs }] } → each project's scores per stored report.
+// Projects without an INR, or with invalid inputs, get an empty timeline;
+// reports that would put a project out of range are skipped.
+export default function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error:"Method not allowed" });
+  }
+  if (!Array.isArray(req.body?.projects)) {
+    return res.status(400).json({ error:"Expected { projects:[{ id, inputs }] }" });
+  }
+
+  const dates     = listSnapshots();
+  const snapshots = dates.map(loadSnapshot);
+  const model     = loadModel();
+  const evaluate  = f => {
+    const r = simulatePrediction(f, model, { details:false });
+    return Object.fromEntries(OUTPUT_FIELDS.map(k => [k, r[k]]));
+  };
+
+  const timelines = Object.fromEntries(req.body.projects.map(p => {
+    const { features } = validateFeatures(p?.inputs);
+    return [p?.id, features ? projectTimeline(features, snapshots, evaluate) : []];
+  }));
+
+  res.status(200).json({ snapshots:dates, timelines });
+}
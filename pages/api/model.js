@@ -0,0 +1,20 @@
+import { loadModel, loadBacktest } from "../../utils/modelStore";
+import { modelInfo } from "../../utils/model";
+
+export default function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error:"Method not allowed" });
+  }
+
+  const model = loadModel();
+  const bt    = loadBacktest();
+  res.status(200).json({
+    ...modelInfo(model), description: model.description || null, metrics: model.metrics,
+    // Backtests of an older model version don't describe the active one.
+    backtest: bt && {
+      ...bt.overall, ranAt:bt.ranAt, source:bt.source,
+      modelVersion:bt.model.version, current:bt.model.version === model.version,
+    },
+  });
+}
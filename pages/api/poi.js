@@ -0,0 +1,21 @@
+import { loadQueue } from "../../utils/queueStore";
+import { findPoi, poiDetail, searchPois } from "../../utils/poi";
+
+// GET ?q=     → POIs matching the name, most congested first.
+// GET ?name=  → one POI's competing projects; `inr` excludes the project itself.
+export default function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error:"Method not allowed" });
+  }
+
+  const { name, inr, q, limit } = req.query;
+  const { reportDate, projects } = loadQueue();
+  if (name) {
+    const group = findPoi(projects, name);
+    if (!group) return res.status(404).json({ error:`POI ${name} not found in the local queue database` });
+    return res.status(200).json({ reportDate, ...poiDetail(group, inr) });
+  }
+
+  res.status(200).json({ reportDate, pois:searchPois(projects, q, Math.min(100, +limit || 20)) });
+}
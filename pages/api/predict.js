@@ -0,0 +1,17 @@
+import { simulatePrediction } from "../../utils/predict";
+import { validateFeatures } from "../../utils/validate";
+import { loadQueue } from "../../utils/queueStore";
+import { withPoiCount } from "../../utils/poi";
+
+export default function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error:"Method not allowed" });
+  }
+
+  // A known POI stands in for poiCount; an explicit count still wins.
+  const { features, errors } = validateFeatures(withPoiCount(req.body, loadQueue().projects));
+  if (errors.length) return res.status(400).json({ error:"Invalid project features", errors });
+
+  res.status(200).json(simulatePrediction(features));
+}
@@ -0,0 +1,21 @@
+import { loadQueue, findProject, searchQueue } from "../../utils/queueStore";
+
+export default function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error:"Method not allowed" });
+  }
+
+  const { inr, q, limit } = req.query;
+  if (inr) {
+    const project = findProject(inr);
+    if (!project) return res.status(404).json({ error:`INR ${inr} not found in the local queue database` });
+    return res.status(200).json(project);
+  }
+
+  const { reportDate, source, projects } = loadQueue();
+  res.status(200).json({
+    reportDate, source, total: projects.length,
+    projects: searchQueue(q, Math.min(100, +limit || 20)),
+  });
+}
@@ -1,7 +1,24 @@
-import { useState } from "react";
+import { useState, useEffect, useMemo, Fragment } from "react";
+import { useRouter } from "next/router";
 import dynamic from "next/dynamic";
 import Head from "next/head";
-import { simulatePrediction, ZONES, TECHS, PHASES, COUNTIES } from "../utils/predict";
+import { ZONES, TECHS, PHASES, COUNTIES } from "../utils/constants";
+import { riskLevel, riskNarrative } from "../utils/narrative";
+import { buildMemoHtml, memoFileName } from "../utils/memo";
+import {
+  loadPortfolio, savePortfolio, createProject, addRun, renameProject, portfolioRows,
+  tableRows, filterRows, RISK_BANDS,
+  exportRows, EXPORT_COLUMNS, portfolioJson, portfolioXlsx, parsePortfolioJson,
+} from "../utils/portfolio";
+import { toCsv } from "../utils/csv";
+import { TABS, stateToQuery, queryToState } from "../utils/deepLink";
+import { NUMBER_RULES, validateFeatures } from "../utils/validate";
+import { BREAKDOWNS, CONCENTRATION_LIMITS, summarize, breakdown, concentrationWarnings } from "../utils/analytics";
+import { countyZone, zoneMismatch } from "../utils/counties";
+import { fitProjection } from "../utils/geo";
+import { riskAlerts, reportChanged } from "../utils/history";
+import { TECH_ECONOMICS, DEFAULT_DISCOUNT_RATE, DEFAULT_COD_TARGET } from "../utils/finance";
+import { storageConfig, storageLabel } from "../utils/storage";
 
 // Recharts must load client-side only (no SSR)
 const {
@@ -59,15 +76,23 @@ function SectionTitle({ children }) {
   );
 }
 
-function FieldWrap({ label, children }) {
+// Inline messages come from the shared schema in utils/validate.js.
+function FieldWrap({ label, error, warning, children }) {
+  const msg = error || warning;
   return (
     <div style={{display:"flex", flexDirection:"column", gap:6}}>
       <label style={labelStyle}>{label}</label>
       {children}
+      {msg && <p style={{fontFamily:mono, fontSize:10, lineHeight:1.5, color:error ? C.red : C.amber}}>
+        {error ? "" : "⚠ "}{msg[0].toUpperCase() + msg.slice(1)}</p>}
     </div>
   );
 }
 
+// Number inputs keep "" while empty so the schema can report a required field.
+const num = v => v === "" ? "" : +v;
+const errorBorder = (error, warning) => error ? {borderColor:C.red} : warning ? {borderColor:C.amber} : {};
+
 function StatBox({ label, value, sub, color=C.blue }) {
   return (
     <Card>
@@ -109,39 +134,1360 @@ function RingMetric({ label, value, display, sub, color }) {
   );
 }
 
+const btn = {
+  background:"none", border:`1px solid ${C.edge}`, borderRadius:4, color:C.sub,
+  padding:"3px 8px", fontSize:10, fontFamily:mono, cursor:"pointer", letterSpacing:1,
+};
+
+function downloadFile(name, content, type) {
+  const url = URL.createObjectURL(new Blob([content], {type}));
+  const a = Object.assign(document.createElement("a"), {href:url, download:name});
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function fetchPrediction(inputs) {
+  const res  = await fetch("/api/predict", {
+    method:"POST", headers:{"Content-Type":"application/json"}, body:JSON.stringify(inputs),
+  });
+  const body = await res.json();
+  if (!res.ok) throw new Error(body.errors ? body.errors.map(e=>`${e.field} ${e.message}`).join(" · ") : body.error);
+  return body;
+}
+
+// ─── Attribution waterfall ────────────────────────────────────────────────────
+
+const ATTRIBUTION_OUTPUTS = [
+  { key:"wd",       label:"WD Risk",  scale:100, unit:" pts", worseUp:true },
+  { key:"timeline", label:"Timeline", scale:1,   unit:" mo",  worseUp:true },
+  { key:"cost",     label:"Cost",     scale:1,   unit:" $M",  worseUp:true },
+  { key:"score",    label:"Score",    scale:1,   unit:"",     worseUp:false },
+];
+
+function AttributionWaterfall({ attribution }) {
+  const [outKey, setOutKey] = useState("wd");
+  const out = ATTRIBUTION_OUTPUTS.find(o => o.key === outKey);
+  const fmt = v => `${+(v).toFixed(2)}${out.unit}`;
+
+  let run = attribution.reference[outKey] * out.scale;
+  const rows = [{ name:"Reference", base:0, size:run, value:run, fill:C.muted }];
+  [...attribution.features]
+    .filter(f => Math.abs(f[outKey]) > 1e-6)
+    .sort((a,b) => Math.abs(b[outKey]) - Math.abs(a[outKey]))
+    .forEach(f => {
+      const c = f[outKey] * out.scale;
+      rows.push({
+        name:f.label, base:Math.min(run, run + c), size:Math.abs(c), value:c,
+        fill: (c > 0) === out.worseUp ? C.red : C.green,
+      });
+      run += c;
+    });
+  rows.push({ name:"Prediction", base:0, size:run, value:run, fill:C.blue });
+
+  return (
+    <>
+      <div style={{display:"flex", gap:6, marginBottom:10}}>
+        {ATTRIBUTION_OUTPUTS.map(o=>(
+          <button key={o.key} onClick={()=>setOutKey(o.key)} style={{
+            ...btn, color: o.key===outKey ? C.text : C.muted,
+            borderColor: o.key===outKey ? C.blue : C.edge,
+          }}>{o.label}</button>
+        ))}
+      </div>
+      <ResponsiveContainer width="100%" height={28 * rows.length + 20}>
+        <BarChart data={rows} layout="vertical" barSize={14} margin={{left:20}}>
+          <XAxis type="number" tick={{fill:C.muted, fontSize:10}} axisLine={false} tickLine={false}/>
+          <YAxis type="category" dataKey="name" width={120}
+            tick={{fill:C.sub, fontSize:10, fontFamily:mono}} axisLine={false} tickLine={false}/>
+          <Tooltip cursor={{fill:`${C.edge}60`}}
+            contentStyle={{background:C.panel,border:`1px solid ${C.edge}`,
+              borderRadius:6,fontFamily:mono,fontSize:11}}
+            formatter={(v,n,{payload})=>
+              [payload.name==="Reference"||payload.name==="Prediction"
+                ? fmt(payload.value) : `${payload.value>0?"+":""}${fmt(payload.value)}`, out.label]}/>
+          <Bar dataKey="base" stackId="w" fill="transparent" tooltipType="none" isAnimationActive={false}/>
+          <Bar dataKey="size" stackId="w" radius={[0,3,3,0]}>
+            {rows.map((r,i)=><Cell key={i} fill={r.fill}/>)}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+      <p style={{fontFamily:mono, fontSize:9, color:C.muted, marginTop:6}}>
+        Shapley contributions relative to a reference project (100 MW solar, SS phase, NORTH zone, 5 co-located)
+      </p>
+    </>
+  );
+}
+
+// ─── POI detail ───────────────────────────────────────────────────────────────
+
+function PoiPanel({ info, poiCount, onUse }) {
+  const shown = info.competing.slice(0, 6);
+  const maxCount = Math.max(1, ...info.phases.map(p => p.count));
+  return (
+    <div style={{background:C.bg, border:`1px solid ${C.edge}`, borderRadius:6, padding:12}}>
+      <p style={{fontFamily:mono, fontSize:11, color:C.text}}>{info.poi}</p>
+      <p style={{fontSize:10, color:C.muted, marginTop:2}}>
+        {info.county} · {info.zone}{info.reportDate ? ` · GIS ${info.reportDate}` : ""}</p>
+      <div style={{display:"grid", gridTemplateColumns:"repeat(3,1fr)", gap:8, margin:"10px 0"}}>
+        {[["Active", info.active], ["Active MW", info.activeMw.toLocaleString()], ["Withdrawn", info.withdrawn]].map(([k,v])=>(
+          <div key={k}>
+            <p style={{...labelStyle, fontSize:8}}>{k}</p>
+            <p style={{fontFamily:mono, fontSize:12, fontWeight:700, color:C.text}}>{v}</p>
+          </div>
+        ))}
+      </div>
+      {info.poiCount !== poiCount && (
+        <p style={{fontFamily:mono, fontSize:10, color:C.amber, marginBottom:8}}>
+          Queue data gives {info.poiCount} co-located.{" "}
+          <span style={{textDecoration:"underline", cursor:"pointer"}} onClick={()=>onUse(info.poiCount)}>
+            Use {info.poiCount}</span>
+        </p>
+      )}
+      <p style={{...labelStyle, fontSize:8, marginBottom:4}}>Competing projects by phase</p>
+      {info.phases.map(p=>(
+        <div key={p.phase} style={{display:"flex", alignItems:"center", gap:8, marginBottom:3}}>
+          <span style={{fontFamily:mono, fontSize:9, color:C.muted, width:32}}>{p.label}</span>
+          <div style={{flex:1, height:5, background:C.edge, borderRadius:2}}>
+            <div style={{width:`${p.count / maxCount * 100}%`, height:"100%", background:C.blue, borderRadius:2}}/>
+          </div>
+          <span style={{fontFamily:mono, fontSize:9, color:C.sub, width:70, textAlign:"right"}}>
+            {p.count} · {p.mw}MW</span>
+        </div>
+      ))}
+      {shown.length > 0 && (
+        <div style={{marginTop:8}}>
+          {shown.map(p=>(
+            <p key={p.inr} style={{fontFamily:mono, fontSize:10, color:C.sub, lineHeight:1.7}}>
+              {PHASES[p.phase]?.short} · {p.inr} · {p.projectName || "Unnamed"} · {p.capacity}MW {p.techType}</p>
+          ))}
+          {info.competing.length > shown.length && (
+            <p style={{fontFamily:mono, fontSize:10, color:C.muted}}>+{info.competing.length - shown.length} more</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Milestone schedule ───────────────────────────────────────────────────────
+
+const monthLabel = iso => new Date(`${iso}T00:00:00Z`).toLocaleDateString("en-US", {month:"short", year:"numeric", timeZone:"UTC"});
+const addMonthsIso = (iso, m) => {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() + m);
+  return d.toISOString().slice(0, 10);
+};
+
+function MilestoneGantt({ schedule }) {
+  const { phases, asOf } = schedule;
+  const horizon = Math.max(schedule.codTarget, phases[phases.length - 1].end.p90) * 1.04;
+  const step    = horizon > 60 ? 12 : 6;
+  const x = m => `${m / horizon * 100}%`;
+  const ticks = Array.from({length:Math.floor(horizon / step) + 1}, (_, i) => i * step);
+  return (
+    <Card>
+      <SectionTitle>Milestone Schedule</SectionTitle>
+      <div style={{display:"grid", gridTemplateColumns:"190px 1fr", rowGap:10, alignItems:"center"}}>
+        <div/>
+        <div style={{position:"relative", height:14}}>
+          {ticks.map(t=>(
+            <span key={t} style={{position:"absolute", left:x(t), transform:"translateX(-50%)",
+              fontFamily:mono, fontSize:9, color:C.muted, whiteSpace:"nowrap"}}>
+              {t === 0 ? "Today" : monthLabel(addMonthsIso(asOf, t))}</span>
+          ))}
+        </div>
+        {phases.map(p=>(
+          <Fragment key={p.key}>
+            <div>
+              <p style={{fontFamily:mono, fontSize:11, color:C.text}}>{p.label}</p>
+              <p style={{fontSize:10, color:C.muted, marginTop:2}}>
+                {p.months.expected} mo ({p.months.p10}–{p.months.p90}) · {p.milestone}</p>
+            </div>
+            <div style={{position:"relative", height:22}}>
+              {ticks.map(t=>(
+                <div key={t} style={{position:"absolute", left:x(t), top:0, bottom:0, width:1, background:`${C.edge}80`}}/>
+              ))}
+              <div title={`${p.milestone}: P10 ${monthLabel(p.endDate.p10)} – P90 ${monthLabel(p.endDate.p90)}`}
+                style={{position:"absolute", left:x(p.end.p10), width:x(p.end.p90 - p.end.p10),
+                  top:8, height:6, background:`${p.key === "build" ? C.green : C.blue}30`, borderRadius:3}}/>
+              <div style={{position:"absolute", left:x(p.start), width:x(Math.max(0.3, p.end.p50 - p.start)),
+                top:5, height:12, background:p.key === "build" ? C.green : C.blue, borderRadius:3, opacity:0.85}}/>
+              <span style={{position:"absolute", left:x(p.end.p50), top:3, marginLeft:4,
+                fontFamily:mono, fontSize:9, color:C.sub, whiteSpace:"nowrap"}}>
+                {monthLabel(p.endDate.p50)}</span>
+            </div>
+          </Fragment>
+        ))}
+      </div>
+      <p style={{fontFamily:mono, fontSize:9, color:C.muted, marginTop:12, lineHeight:1.6}}>
+        Bars run to the median milestone date; the pale band is its P10–P90 range.
+        COD target {monthLabel(schedule.codTargetDate)} · dates counted from {monthLabel(asOf)}.</p>
+    </Card>
+  );
+}
+
+// ─── Upgrade cost distribution ────────────────────────────────────────────────
+
+function UpgradeCostCard({ model, cost }) {
+  const { distribution:d, drivers, sharing } = model;
+  const maxCost = Math.max(...drivers.map(x => x.high), 0.01);
+  return (
+    <Card>
+      <SectionTitle>Upgrade Cost Distribution</SectionTitle>
+      <div style={{display:"grid", gridTemplateColumns:"1.4fr 1fr", gap:20}}>
+        <div>
+          <ResponsiveContainer width="100%" height={150}>
+            <BarChart data={d.histogram} barCategoryGap={1}>
+              <XAxis dataKey="label" tick={{fill:C.muted, fontSize:9, fontFamily:mono}}
+                axisLine={false} tickLine={false} interval={3}/>
+              <YAxis tick={{fill:C.muted, fontSize:9}} axisLine={false} tickLine={false}
+                tickFormatter={v=>`${(v*100).toFixed(0)}%`}/>
+              <Tooltip contentStyle={tooltipStyle}
+                formatter={v=>[`${(v*100).toFixed(1)}%`, "Share of draws"]}
+                labelFormatter={(_, p)=>p?.[0] ? `$${p[0].payload.from}–$${p[0].payload.to}M` : ""}/>
+              <Bar dataKey="share">
+                {d.histogram.map((b,i)=>(
+                  <Cell key={i} fill={b.to < d.p10 || b.from > d.p90 ? C.edge : C.amber}/>
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+          <div style={{display:"grid", gridTemplateColumns:"repeat(5,1fr)", gap:6, marginTop:8}}>
+            {[["P10",d.p10],["P25",d.p25],["P50",d.p50],["P75",d.p75],["P90",d.p90]].map(([k,v])=>(
+              <div key={k} style={{textAlign:"center"}}>
+                <p style={{...labelStyle, fontSize:8}}>{k}</p>
+                <p style={{fontFamily:mono, fontSize:11, fontWeight:700, color:C.text}}>${v.toFixed(1)}M</p>
+              </div>
+            ))}
+          </div>
+        </div>
+        <div>
+          <p style={{...labelStyle, fontSize:9, marginBottom:8}}>Cost drivers · ${cost}M · {model.kv}kV
+            {model.source === "capacity" ? " (assumed)" : ""}</p>
+          {drivers.map(x=>(
+            <div key={x.key} style={{marginBottom:8}}>
+              <div style={{display:"flex", justifyContent:"space-between", fontFamily:mono, fontSize:10, marginBottom:3}}>
+                <span style={{color:C.sub}}>{x.label}{x.shared ? " *" : ""}</span>
+                <span style={{color:C.text}}>${x.cost.toFixed(1)}M · {x.pct}%</span>
+              </div>
+              <div style={{position:"relative", height:6, background:C.edge, borderRadius:2}}>
+                <div style={{position:"absolute", left:`${x.low/maxCost*100}%`, width:`${(x.high-x.low)/maxCost*100}%`,
+                  height:"100%", background:`${C.amber}40`, borderRadius:2}}/>
+                <div style={{position:"absolute", left:0, width:`${x.cost/maxCost*100}%`, height:"100%",
+                  background:C.amber, borderRadius:2}}/>
+              </div>
+            </div>
+          ))}
+          <p style={{fontFamily:mono, fontSize:9, color:C.muted, lineHeight:1.6, marginTop:10}}>
+            * Shared POI upgrades.{" "}
+            {sharing.participants > 1
+              ? sharing.applied
+                ? `Split by MW with ${sharing.participants - 1} queued project(s) (${sharing.peerMw}MW): this project pays ${(sharing.share*100).toFixed(0)}%, saving $${sharing.savings}M.`
+                : `Sharing with ${sharing.participants - 1} queued project(s) (${sharing.peerMw}MW) would cut the cost to $${sharing.shared}M.`
+              : "No other pre-IA projects at this POI to share with."}
+          </p>
+        </div>
+      </div>
+    </Card>
+  );
+}
+
+// ─── Project economics ────────────────────────────────────────────────────────
+
+const money = v => `${v < 0 ? "-" : ""}$${Math.abs(v).toFixed(1)}M`;
+const irrText = v => v == null ? "n/a" : `${v.toFixed(1)}%`;
+
+function FinancePanel({ finance: fin }) {
+  const cell = {padding:"5px 8px", fontFamily:mono, fontSize:11, color:C.sub};
+  const delta = (v, fmt) => v == null ? "n/a" : (
+    <span style={{color: v < 0 ? C.red : v > 0 ? C.green : C.muted}}>{v > 0 ? "+" : ""}{fmt(v)}</span>);
+  return (
+    <div style={{marginTop:16}}>
+      <p style={{...labelStyle, fontSize:9, marginBottom:8}}>Project Economics</p>
+      <div style={{display:"grid", gridTemplateColumns:"repeat(4,1fr)", gap:8, marginBottom:12}}>
+        {[
+          {k:`NPV @ ${(fin.discountRate*100).toFixed(1)}%`, v:money(fin.npv), c:fin.npv >= 0 ? C.green : C.red},
+          {k:"Project IRR", v:irrText(fin.irr), c:C.blue, s:`${irrText(fin.refIrr)} on target`},
+          {k:"COD", v:`${fin.codMonths} mo`, c:fin.delayMonths > 0 ? C.amber : C.green,
+            s:fin.delayMonths > 0 ? `${fin.delayMonths} mo past target` : "On target"},
+          {k:"Capex", v:money(fin.capex), c:C.sub, s:`${money(fin.annualRevenue)}/yr revenue`},
+        ].map(({k,v,c,s})=>(
+          <div key={k} style={{background:C.bg, borderRadius:6, padding:"10px 12px", border:`1px solid ${C.edge}`}}>
+            <p style={{...labelStyle, fontSize:9, marginBottom:4}}>{k}</p>
+            <p style={{fontFamily:mono, fontSize:12, fontWeight:700, color:c}}>{v}</p>
+            {s && <p style={{fontFamily:mono, fontSize:9, color:C.muted, marginTop:3}}>{s}</p>}
+          </div>
+        ))}
+      </div>
+      <div style={{display:"grid", gridTemplateColumns:"1fr 1.3fr", gap:12}}>
+        <table style={{width:"100%", borderCollapse:"collapse"}}>
+          <thead>
+            <tr style={{borderBottom:`1px solid ${C.edge}`}}>
+              {["Case","Timeline","Upgrade","NPV","IRR"].map(h=>(
+                <th key={h} style={{...labelStyle, fontSize:8, padding:"5px 8px", textAlign:"left"}}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {fin.cases.map(c=>(
+              <tr key={c.label} style={{borderBottom:`1px solid ${C.edge}20`}}>
+                <td style={{...cell, color:C.text}}>{c.label}</td>
+                <td style={cell}>{c.timeline} mo</td>
+                <td style={cell}>${c.cost}M</td>
+                <td style={cell}>{money(c.npv)}</td>
+                <td style={cell}>{irrText(c.irr)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <table style={{width:"100%", borderCollapse:"collapse"}}>
+          <thead>
+            <tr style={{borderBottom:`1px solid ${C.edge}`}}>
+              {["Sensitivity","NPV","Δ NPV","Δ IRR"].map(h=>(
+                <th key={h} style={{...labelStyle, fontSize:8, padding:"5px 8px", textAlign:"left"}}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {fin.sensitivity.map(s=>(
+              <tr key={s.label} style={{borderBottom:`1px solid ${C.edge}20`}}>
+                <td style={{...cell, color:C.text}}>{s.label}</td>
+                <td style={cell}>{money(s.npv)}</td>
+                <td style={cell}>{delta(s.npvDelta, v=>money(v).replace("-", ""))}</td>
+                <td style={cell}>{delta(s.irrDelta, v=>`${Math.abs(v).toFixed(2)} pts`)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// ─── What-if scenario builder ─────────────────────────────────────────────────
+
+const SCENARIO_FIELDS = [
+  { key:"capacity",        label:"Capacity (MW)" },
+  { key:"techType",        label:"Technology",     options:TECHS.map(t=>[t,t]) },
+  { key:"phase",           label:"Study Phase",    options:PHASES.map(p=>[p.value,p.short]) },
+  { key:"poiCount",        label:"POI Co-located" },
+  { key:"zone",            label:"CDR Zone",       options:ZONES.map(z=>[z,z]) },
+  { key:"county",          label:"County",         options:COUNTIES.map(c=>[c,c]) },
+  { key:"daysInQueue",     label:"Days in Queue" },
+  { key:"firmCapacity",    label:"Firm Capacity",  step:0.05 },
+  { key:"energyCommunity", label:"Energy Community", bool:true },
+  { key:"behindMeter",     label:"Behind the Meter", bool:true },
+  { key:"storageMw",       label:"Storage (MW)" },
+  { key:"storageMwh",      label:"Storage (MWh)" },
+  { key:"gridCharging",    label:"Grid Charging",    bool:true },
+];
+
+// [label, value getter, formatter, higher-is-better]
+const SCENARIO_METRICS = [
+  ["Withdrawal Risk", r=>r.wd,             v=>`${(v*100).toFixed(1)}%`, false],
+  ["Timeline",        r=>r.timeline,       v=>`${v} mo`,                false],
+  ["Upgrade Cost",    r=>r.cost,           v=>`$${v}M`,                 false],
+  ["IRR Impact",      r=>r.irrHit,         v=>v == null ? "n/a" : `${v}%`, true],
+  ["Revenue at Risk", r=>+r.revenueAtRisk, v=>`$${v}M`,                 false],
+  ["Certainty Score", r=>r.score,          v=>v,                        true],
+];
+
+function ScenarioBuilder({ baseline, baseResult, preset }) {
+  const [draft, setDraft]     = useState(baseline);
+  const [outcome, setOutcome] = useState(null);
+  const [busy, setBusy]       = useState(false);
+  const [err, setErr]         = useState(null);
+
+  const run = async inputs => {
+    setBusy(true);
+    setErr(null);
+    try { setOutcome(await fetchPrediction(inputs)); }
+    catch (e) { setErr(e.message); setOutcome(null); }
+    finally { setBusy(false); }
+  };
+
+  useEffect(() => {
+    const next = {...baseline, ...(preset?.changes || {})};
+    setDraft(next);
+    setOutcome(null);
+    if (preset) run(next);
+  }, [baseline, preset]);
+
+  const edit = (key, v) => setDraft(d => key === "county"
+    ? {...d, county:v, zone:countyZone(v) ?? d.zone}
+    : {...d, [key]: v});
+  const changed = SCENARIO_FIELDS.filter(({key}) => draft[key] !== baseline[key]);
+  const errors  = useMemo(() => validateFeatures(draft).errors, [draft]);
+  const fieldError = k => errors.find(e => e.field === k)?.message;
+
+  return (
+    <div style={{display:"flex", flexDirection:"column", gap:14}}>
+      <div style={{display:"grid", gridTemplateColumns:"repeat(5,1fr)", gap:10}}>
+        {SCENARIO_FIELDS.map(({key, label, options, bool, step})=>(
+          <FieldWrap key={key} label={label} error={fieldError(key)}>
+            {bool ? (
+              <select style={{...inp, padding:"6px 8px", fontSize:12}} value={String(draft[key])}
+                onChange={e=>edit(key, e.target.value==="true")}>
+                <option value="true">Yes</option><option value="false">No</option>
+              </select>
+            ) : options ? (
+              <select style={{...inp, padding:"6px 8px", fontSize:12}} value={draft[key]}
+                onChange={e=>edit(key, key==="phase" ? +e.target.value : e.target.value)}>
+                {options.map(([v,l])=><option key={v} value={v}>{l}</option>)}
+              </select>
+            ) : (
+              <input style={{...inp, padding:"6px 8px", fontSize:12,
+                borderColor: draft[key]!==baseline[key] ? C.purple : C.edge, ...errorBorder(fieldError(key))}}
+                type="number" step={step||1} value={draft[key] ?? ""}
+                onChange={e=>edit(key, num(e.target.value))}/>
+            )}
+          </FieldWrap>
+        ))}
+      </div>
+      <div style={{display:"flex", gap:10, alignItems:"center"}}>
+        <button onClick={()=>run(draft)} disabled={busy || !changed.length || errors.length > 0} style={{
+          ...btn, padding:"8px 16px", fontSize:11,
+          color: changed.length && !errors.length ? C.text : C.muted,
+          borderColor: changed.length && !errors.length ? C.purple : C.edge,
+        }}>{busy ? "RUNNING ..." : "RUN SCENARIO"}</button>
+        <button onClick={()=>{ setDraft(baseline); setOutcome(null); }} style={btn}>RESET</button>
+        <span style={{fontFamily:mono, fontSize:11, color:C.muted}}>
+          {changed.length ? `${changed.length} field${changed.length>1?"s":""} changed` : "Edit any field to build a scenario"}
+        </span>
+        {err && <span style={{fontFamily:mono, fontSize:11, color:C.red}}>{err}</span>}
+      </div>
+      {outcome && (
+        <table style={{width:"100%", borderCollapse:"collapse", fontFamily:mono, fontSize:12}}>
+          <thead>
+            <tr style={{borderBottom:`1px solid ${C.edge}`}}>
+              {["","Baseline","Scenario","Change"].map(h=>(
+                <th key={h} style={{...labelStyle, padding:"8px 12px", textAlign:"left", fontSize:9}}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {changed.map(({key, label, options})=>{
+              const show = v => typeof v==="boolean" ? (v?"Yes":"No")
+                : options ? (options.find(([o])=>o===v)?.[1] ?? v) : v;
+              return (
+                <tr key={key} style={{borderBottom:`1px solid ${C.edge}20`, background:`${C.purple}10`}}>
+                  <td style={{padding:"8px 12px", color:C.sub}}>{label}</td>
+                  <td style={{padding:"8px 12px", color:C.sub}}>{show(baseline[key])}</td>
+                  <td style={{padding:"8px 12px", color:C.purple, fontWeight:700}}>{show(draft[key])}</td>
+                  <td style={{padding:"8px 12px", color:C.muted}}>input</td>
+                </tr>
+              );
+            })}
+            {SCENARIO_METRICS.map(([label, get, fmt, higherBetter])=>{
+              const a = get(baseResult), b = get(outcome), d = +(b - a).toFixed(3);
+              const good = higherBetter ? d > 0 : d < 0;
+              return (
+                <tr key={label} style={{borderBottom:`1px solid ${C.edge}20`}}>
+                  <td style={{padding:"8px 12px", color:C.sub}}>{label}</td>
+                  <td style={{padding:"8px 12px"}}>{fmt(a)}</td>
+                  <td style={{padding:"8px 12px"}}>{fmt(b)}</td>
+                  <td style={{padding:"8px 12px", fontWeight:700,
+                    color: d===0 ? C.muted : good ? C.green : C.red}}>
+                    {d===0 ? "—" : `${d>0?"+":""}${label==="Withdrawal Risk" ? `${(d*100).toFixed(1)} pts` : +d.toFixed(2)}`}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+const tooltipStyle = {background:C.panel, border:`1px solid ${C.edge}`, borderRadius:6, fontFamily:mono, fontSize:11};
+
+// ─── Sortable tables ──────────────────────────────────────────────────────────
+
+// Missing values (e.g. unscored projects) always sort last.
+function sortRows(rows, { key, dir }) {
+  const sign = dir === "asc" ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const x = a[key], y = b[key];
+    if (x == null || y == null) return (x == null) - (y == null);
+    if (typeof x === "string" || typeof y === "string") return sign * String(x).localeCompare(String(y));
+    return sign * ((+x || 0) - (+y || 0));
+  });
+}
+
+const nextSort = (sort, key) =>
+  ({ key, dir: sort.key === key && sort.dir === "desc" ? "asc" : "desc" });
+
+function SortHeader({ label, field, sort, onSort }) {
+  const active = field && sort.key === field;
+  return (
+    <th onClick={field ? ()=>onSort(nextSort(sort, field)) : undefined}
+      style={{...labelStyle, padding:"8px 12px", textAlign:"left", fontSize:9,
+        cursor: field ? "pointer" : "default", color: active ? C.blue : C.muted, whiteSpace:"nowrap"}}>
+      {label}{active ? (sort.dir === "asc" ? " ▴" : " ▾") : ""}
+    </th>
+  );
+}
+
+// ─── Portfolio analytics ──────────────────────────────────────────────────────
+
+const BREAKDOWN_COLUMNS = [
+  ["Group", "name"], ["Projects", "projects"], ["MW", "mw"], ["Share", "share"],
+  ["Expected MW", "expectedMw"], ["Avg WD", "avgWd"], ["Cost", "cost"], ["Cost Range", "costHigh"],
+];
+
+function PortfolioAnalytics({ rows }) {
+  const [by, setBy]     = useState(BREAKDOWNS[0].key);
+  const [sort, setSort] = useState({ key:"mw", dir:"desc" });
+
+  const totals   = summarize(rows);
+  const warnings = concentrationWarnings(rows);
+  const groups   = breakdown(rows, BREAKDOWNS.find(b => b.key === by).group);
+  const chart    = groups.map(g => ({ name:g.name, expected:g.expectedMw, atRisk:+(g.mw - g.expectedMw).toFixed(1) }));
+  const cell     = {padding:"8px 12px", color:C.sub};
+
+  return (
+    <Card>
+      <SectionTitle>Portfolio Analytics</SectionTitle>
+      <div style={{display:"grid", gridTemplateColumns:"repeat(3,1fr)", gap:12, marginBottom:16}}>
+        <StatBox label="Expected MW to IA" value={`${totals.expectedMw} MW`}
+          sub={`${((1 - totals.avgWd)*100).toFixed(0)}% of ${totals.mw} MW, weighted by withdrawal risk`} color={C.green}/>
+        <StatBox label="Expected Upgrade Cost" value={`$${totals.cost}M`}
+          sub={`Range $${totals.costLow}M – $${totals.costHigh}M`} color={C.amber}/>
+        <StatBox label="MW at Risk" value={`${(totals.mw - totals.expectedMw).toFixed(1)} MW`}
+          sub="Capacity × withdrawal probability" color={C.red}/>
+      </div>
+
+      {warnings.map(w => (
+        <div key={`${w.kind}-${w.name}`} style={{background:`${C.amber}10`, border:`1px solid ${C.amber}40`,
+          borderRadius:6, padding:"8px 12px", marginBottom:8, fontFamily:mono, fontSize:11, color:C.amber}}>
+          ⚠ CONCENTRATION · {w.message} ({w.mw} MW)
+        </div>
+      ))}
+
+      <div style={{display:"flex", gap:6, margin:"8px 0 12px"}}>
+        {BREAKDOWNS.map(b => (
+          <button key={b.key} onClick={()=>setBy(b.key)}
+            style={{...btn, ...(by === b.key ? {color:C.blue, borderColor:C.blue} : {})}}>
+            {b.label.toUpperCase()}</button>
+        ))}
+      </div>
+
+      <div style={{display:"grid", gridTemplateColumns:"1fr 1.4fr", gap:16, alignItems:"start"}}>
+        <ResponsiveContainer width="100%" height={Math.max(160, chart.length * 34)}>
+          <BarChart data={chart} layout="vertical" margin={{left:10}}>
+            <XAxis type="number" tick={{fill:C.muted, fontSize:10}} axisLine={false} tickLine={false}/>
+            <YAxis type="category" dataKey="name" width={80}
+              tick={{fill:C.sub, fontSize:10, fontFamily:mono}} axisLine={false} tickLine={false}/>
+            <Tooltip contentStyle={tooltipStyle}
+              formatter={(v,n)=>[`${v} MW`, n==="expected"?"Expected to IA":"At risk"]}/>
+            <Bar dataKey="expected" stackId="mw" fill={C.green}/>
+            <Bar dataKey="atRisk" stackId="mw" fill={`${C.red}90`} radius={[0,3,3,0]}/>
+          </BarChart>
+        </ResponsiveContainer>
+        <table style={{width:"100%", borderCollapse:"collapse", fontFamily:mono, fontSize:11}}>
+          <thead>
+            <tr style={{borderBottom:`1px solid ${C.edge}`}}>
+              {BREAKDOWN_COLUMNS.map(([label, field]) => (
+                <SortHeader key={field} label={label} field={field} sort={sort} onSort={setSort}/>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sortRows(groups, sort).map(g => (
+              <tr key={g.name} style={{borderBottom:`1px solid ${C.edge}20`}}>
+                <td style={{...cell, color:C.text}}>{g.name}</td>
+                <td style={cell}>{g.projects}</td>
+                <td style={cell}>{g.mw}</td>
+                <td style={{...cell, color: by==="zone" && g.share > CONCENTRATION_LIMITS.zone ? C.amber : C.sub}}>
+                  {(g.share*100).toFixed(0)}%</td>
+                <td style={{...cell, color:C.green}}>{g.expectedMw}</td>
+                <td style={{...cell, color:g.avgWd>0.5?C.red:g.avgWd>0.3?C.amber:C.green}}>
+                  {(g.avgWd*100).toFixed(1)}%</td>
+                <td style={cell}>${g.cost}M</td>
+                <td style={cell}>${g.costLow}–{g.costHigh}M</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  );
+}
+
+// ─── County map ───────────────────────────────────────────────────────────────
+
+const ZONE_COLORS = {
+  WEST:C.amber, PANHANDLE:C.purple, NORTH:C.blue, SOUTH:C.green,
+  HOUSTON:C.red, EAST:"#14b8a6", COAST:"#38bdf8",
+};
+
+// `values` maps county name → { avgWd, mw, projects }; metric "zone" shades by CDR zone.
+function countyFill(feature, metric, values, maxMw) {
+  const { name, zone } = feature.properties;
+  if (!zone) return C.bg;
+  if (metric === "zone") return `${ZONE_COLORS[zone]}40`;
+  const v = values[name];
+  if (!v) return C.panel;
+  if (metric === "mw") return `${C.blue}${Math.round(40 + 200 * v.mw / maxMw).toString(16).padStart(2, "0")}`;
+  return v.avgWd > 0.5 ? C.red : v.avgWd > 0.3 ? C.amber : C.green;
+}
+
+function CountyMap({ geo, width, metric, values = {}, selected, onSelect }) {
+  const [hover, setHover] = useState(null);
+  const shapes = useMemo(() => {
+    const proj = fitProjection(geo.features, width);
+    return {
+      ...proj,
+      counties: geo.features.filter(f => f.properties.kind === "county")
+        .map(f => ({ ...f.properties, feature:f, d:proj.path(f.geometry) })),
+      lines: geo.features.filter(f => f.properties.kind !== "county")
+        .map(f => ({ kind:f.properties.kind, d:proj.path(f.geometry) })),
+    };
+  }, [geo, width]);
+  const maxMw = Math.max(1, ...Object.values(values).map(v => v.mw));
+  const info  = shapes.counties.find(c => c.name === (hover || selected));
+
+  return (
+    <div>
+      <svg width={shapes.width} height={shapes.height} style={{display:"block"}}
+        onMouseLeave={()=>setHover(null)}>
+        {shapes.counties.map(c => (
+          <path key={c.fips} d={c.d} fill={countyFill(c.feature, metric, values, maxMw)}
+            fillOpacity={metric === "wd" && values[c.name] ? 0.75 : 1}
+            stroke={c.name === selected ? C.text : C.edge} strokeWidth={c.name === selected ? 1.5 : 0.5}
+            style={{cursor: c.zone ? "pointer" : "not-allowed"}}
+            onMouseEnter={()=>setHover(c.name)}
+            onClick={()=>c.zone && onSelect?.(c.name, c.zone)}/>
+        ))}
+        {shapes.lines.map(l => (
+          <path key={l.kind} d={l.d} fill="none" pointerEvents="none"
+            stroke={l.kind === "zone-boundary" ? C.sub : C.muted} strokeWidth={l.kind === "zone-boundary" ? 1.4 : 1}/>
+        ))}
+      </svg>
+      <p style={{fontFamily:mono, fontSize:10, color:C.muted, marginTop:6, minHeight:14}}>
+        {info && <>
+          <span style={{color:C.text}}>{info.name}</span> · {info.zone || "Outside ERCOT"}
+          {values[info.name] && ` · ${values[info.name].projects} projects · ${values[info.name].mw} MW`
+            + ` · WD ${(values[info.name].avgWd*100).toFixed(1)}%`}
+        </>}
+      </p>
+    </div>
+  );
+}
+
+// ─── Queue history across reports ─────────────────────────────────────────────
+
+function QueueHistory({ projects, onUpdate }) {
+  const [data, setData]           = useState(null);
+  const [threshold, setThreshold] = useState(10);
+  const [selected, setSelected]   = useState(null);
+  const [busy, setBusy]           = useState(false);
+  const [note, setNote]           = useState(null);
+
+  const tracked = projects.filter(p => p.inputs.inr);
+
+  const rescore = async () => {
+    setBusy(true);
+    setNote(null);
+    try {
+      const res  = await fetch("/api/history", {
+        method:"POST", headers:{"Content-Type":"application/json"},
+        body:JSON.stringify({ projects:tracked.map(p => ({ id:p.id, inputs:p.inputs })) }),
+      });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || "Re-scoring failed");
+      setData(body);
+      setSelected(s => s || tracked.find(p => body.timelines[p.id]?.length)?.id || null);
+
+      // Carry the newest report's phase, days in queue and POI count into the portfolio.
+      const updates = tracked.flatMap(p => {
+        const latest = body.timelines[p.id]?.at(-1);
+        return latest && reportChanged(p.inputs, latest) ? [{ id:p.id, entry:latest }] : [];
+      });
+      if (updates.length) onUpdate(updates);
+      setNote(body.snapshots.length
+        ? `Scored against ${body.snapshots.length} reports · ${updates.length} projects updated from the latest`
+        : "No report snapshots yet — run npm run import-gis for each monthly report");
+    } catch (e) {
+      setNote(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const timelines = data ? Object.fromEntries(tracked
+    .filter(p => data.timelines[p.id]?.length)
+    .map(p => [p.id, { name:p.name, entries:data.timelines[p.id] }])) : {};
+  const alerts = riskAlerts(timelines, threshold / 100);
+  const trend  = (timelines[selected]?.entries || []).map(e => ({
+    date:e.reportDate, wd:+(e.wd*100).toFixed(1), score:e.score, timeline:e.timeline,
+    phase:PHASES[e.inputs.phase]?.short,
+  }));
+
+  return (
+    <Card>
+      <div style={{display:"flex", justifyContent:"space-between", alignItems:"center"}}>
+        <SectionTitle>Risk Across GIS Reports</SectionTitle>
+        <div style={{display:"flex", gap:8, alignItems:"center", marginBottom:14}}>
+          <span style={{fontFamily:mono, fontSize:10, color:C.muted}}>Alert above +</span>
+          <input type="number" min={1} max={50} value={threshold}
+            onChange={e=>setThreshold(Math.max(1, +e.target.value || 1))}
+            style={{...inp, width:60, padding:"4px 8px", fontSize:11}}/>
+          <span style={{fontFamily:mono, fontSize:10, color:C.muted}}>pts</span>
+          <button style={btn} disabled={busy || !tracked.length} onClick={rescore}>
+            {busy ? "…" : "RE-SCORE ACROSS REPORTS"}</button>
+        </div>
+      </div>
+      {!tracked.length && (
+        <p style={{fontSize:12, color:C.muted}}>
+          Only projects with an INR can be tracked. Load projects from the GIS queue search in the predictor.</p>
+      )}
+      {note && <p style={{fontFamily:mono, fontSize:10, color:C.muted, marginBottom:12}}>{note}</p>}
+      {data && Object.keys(timelines).length > 0 && (
+        <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:16, alignItems:"start"}}>
+          <div>
+            <select style={{...inp, padding:"6px 10px", fontSize:12, marginBottom:8, width:"100%"}}
+              value={selected || ""} onChange={e=>setSelected(e.target.value)}>
+              {Object.entries(timelines).map(([id, t])=><option key={id} value={id}>{t.name}</option>)}
+            </select>
+            <ResponsiveContainer width="100%" height={200}>
+              <LineChart data={trend}>
+                <XAxis dataKey="date" tick={{fill:C.muted, fontSize:9, fontFamily:mono}} axisLine={false} tickLine={false}/>
+                <YAxis yAxisId="pct" domain={[0,100]} tick={{fill:C.muted, fontSize:10}} axisLine={false} tickLine={false}/>
+                <YAxis yAxisId="mo" orientation="right" tick={{fill:C.muted, fontSize:10}} axisLine={false} tickLine={false}
+                  tickFormatter={v=>`${v}mo`}/>
+                <Tooltip contentStyle={tooltipStyle}
+                  labelFormatter={(d, items)=>`${d} · ${items?.[0]?.payload.phase ?? ""}`}
+                  formatter={(v,n)=>[n==="wd"?`${v}%`:n==="timeline"?`${v} mo`:v,
+                    n==="wd"?"WD Risk":n==="timeline"?"Timeline":"Score"]}/>
+                <Line yAxisId="pct" type="monotone" dataKey="wd" stroke={C.red} strokeWidth={2}/>
+                <Line yAxisId="pct" type="monotone" dataKey="score" stroke={C.green} strokeWidth={2}/>
+                <Line yAxisId="mo" type="monotone" dataKey="timeline" stroke={C.blue} strokeWidth={2}
+                  strokeDasharray="4 3"/>
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <div>
+            <p style={{...labelStyle, fontSize:9, marginBottom:8}}>Risk Jumps ({alerts.length})</p>
+            {!alerts.length && (
+              <p style={{fontFamily:mono, fontSize:11, color:C.muted}}>
+                No project rose more than {threshold} pts between reports.</p>
+            )}
+            {alerts.map(a => (
+              <div key={`${a.id}-${a.to.reportDate}`} onClick={()=>setSelected(a.id)}
+                style={{background:`${C.red}0c`, border:`1px solid ${C.red}30`, borderRadius:6,
+                  padding:"8px 10px", marginBottom:6, cursor:"pointer", fontFamily:mono, fontSize:11}}>
+                <span style={{color:C.text}}>{a.name}</span>
+                <span style={{color:C.red}}> +{(a.delta*100).toFixed(1)} pts</span>
+                <p style={{color:C.muted, fontSize:10, marginTop:3}}>
+                  {a.from.reportDate} → {a.to.reportDate} · WD {(a.from.wd*100).toFixed(0)}% → {(a.to.wd*100).toFixed(0)}%
+                  {a.from.inputs.phase !== a.to.inputs.phase &&
+                    ` · ${PHASES[a.from.inputs.phase]?.short} → ${PHASES[a.to.inputs.phase]?.short}`}
+                  {a.to.outcome === "Withdrawn" && " · withdrawn"}
+                </p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+// ─── Backtest report ──────────────────────────────────────────────────────────
+
+const BACKTEST_GROUPS = [["zone","CDR Zone"], ["techType","Technology"], ["phase","Study Phase"]];
+const BACKTEST_COLUMNS = [
+  ["Group","name"], ["Rows","rows"], ["Accuracy","accuracy"], ["AUC","auc"], ["Brier","brier"],
+  ["Observed","positiveRate"], ["Predicted","meanPredicted"],
+];
+const pct = v => v == null ? "—" : `${(v*100).toFixed(1)}%`;
+
+function BacktestReport({ report, model }) {
+  const [by, setBy]     = useState("zone");
+  const [sort, setSort] = useState({ key:"rows", dir:"desc" });
+  const o = report.overall;
+  const curve = report.calibration.filter(b => b.rows).map(b => ({
+    bin:b.bin, rows:b.rows, predicted:+(b.predicted*100).toFixed(1), observed:+(b.observed*100).toFixed(1),
+  }));
+  const groups = report.breakdowns[by];
+  const cell = {padding:"8px 12px", color:C.sub};
+
+  return (
+    <div style={{display:"flex", flexDirection:"column", gap:16}}>
+      {model && report.model.version !== model.version && (
+        <div style={{background:`${C.amber}10`, border:`1px solid ${C.amber}40`, borderRadius:6,
+          padding:"8px 12px", fontFamily:mono, fontSize:11, color:C.amber}}>
+          ⚠ This backtest ran on {report.model.version}; the active model is {model.version}. Re-run npm run backtest.
+        </div>
+      )}
+      <div style={{display:"grid", gridTemplateColumns:"repeat(4,1fr)", gap:12}}>
+        <StatBox label="Accuracy" value={pct(o.accuracy)} sub={`At ${report.threshold} threshold · ${o.rows} projects`}
+          color={C.blue}/>
+        <StatBox label="AUC" value={o.auc ?? "—"} sub="0.5 = chance, 1 = perfect ranking"
+          color={o.auc >= 0.75 ? C.green : o.auc >= 0.65 ? C.amber : C.red}/>
+        <StatBox label="Brier Score" value={o.brier} sub="Mean squared error, lower is better"
+          color={o.brier <= 0.15 ? C.green : o.brier <= 0.22 ? C.amber : C.red}/>
+        <StatBox label="Withdrawal Rate" value={pct(o.positiveRate)} sub={`Predicted ${pct(o.meanPredicted)}`}
+          color={C.purple}/>
+      </div>
+
+      <div style={{display:"grid", gridTemplateColumns:"1fr 1.4fr", gap:16, alignItems:"start"}}>
+        <Card>
+          <SectionTitle>Calibration</SectionTitle>
+          <ResponsiveContainer width="100%" height={240}>
+            <LineChart data={curve}>
+              <XAxis dataKey="bin" tick={{fill:C.muted, fontSize:9, fontFamily:mono}} axisLine={false} tickLine={false}/>
+              <YAxis domain={[0,100]} tick={{fill:C.muted, fontSize:10}} axisLine={false} tickLine={false}
+                tickFormatter={v=>`${v}%`}/>
+              <Tooltip contentStyle={tooltipStyle}
+                labelFormatter={(b, items)=>`Predicted ${b} · ${items?.[0]?.payload.rows ?? 0} projects`}
+                formatter={(v,n)=>[`${v}%`, n==="observed"?"Observed":"Mean predicted"]}/>
+              <Line type="monotone" dataKey="predicted" stroke={C.muted} strokeDasharray="4 3" dot={false}/>
+              <Line type="monotone" dataKey="observed" stroke={C.blue} strokeWidth={2}/>
+            </LineChart>
+          </ResponsiveContainer>
+          <p style={{fontSize:11, color:C.muted, lineHeight:1.6, marginTop:8}}>
+            Observed withdrawal rate per predicted-risk bin. A well calibrated model tracks the dashed line.</p>
+        </Card>
+
+        <Card>
+          <div style={{display:"flex", justifyContent:"space-between", alignItems:"center"}}>
+            <SectionTitle>By Segment</SectionTitle>
+            <div style={{display:"flex", gap:6, marginBottom:14}}>
+              {BACKTEST_GROUPS.map(([k, label]) => (
+                <button key={k} onClick={()=>setBy(k)}
+                  style={{...btn, ...(by === k ? {color:C.blue, borderColor:C.blue} : {})}}>{label.toUpperCase()}</button>
+              ))}
+            </div>
+          </div>
+          <table style={{width:"100%", borderCollapse:"collapse", fontFamily:mono, fontSize:11}}>
+            <thead>
+              <tr style={{borderBottom:`1px solid ${C.edge}`}}>
+                {BACKTEST_COLUMNS.map(([label, field]) => (
+                  <SortHeader key={field} label={label} field={field} sort={sort} onSort={setSort}/>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sortRows(groups, sort).map(g => (
+                <tr key={g.name} style={{borderBottom:`1px solid ${C.edge}20`}}>
+                  <td style={{...cell, color:C.text}}>{g.name}</td>
+                  <td style={cell}>{g.rows}</td>
+                  <td style={cell}>{pct(g.accuracy)}</td>
+                  <td style={cell}>{g.auc ?? "—"}</td>
+                  <td style={cell}>{g.brier}</td>
+                  <td style={cell}>{pct(g.positiveRate)}</td>
+                  <td style={{...cell, color: Math.abs(g.meanPredicted - g.positiveRate) > 0.15 ? C.amber : C.sub}}>
+                    {pct(g.meanPredicted)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p style={{fontSize:11, color:C.muted, lineHeight:1.6, marginTop:10}}>
+            Predicted rates more than 15 pts off the observed rate are highlighted.</p>
+        </Card>
+      </div>
+      <p style={{fontFamily:mono, fontSize:10, color:C.muted}}>
+        Backtest of {report.model.version} on {report.source || "labeled data"} · {new Date(report.ranAt).toLocaleString()}
+        {report.rejected ? ` · ${report.rejected} rows rejected` : ""}
+      </p>
+    </div>
+  );
+}
+
+// ─── Project comparison ───────────────────────────────────────────────────────
+
+const COMPARE_COLORS = [C.blue, C.amber, C.purple, C.green];
+
+// [label, getter, formatter]; outputs reuse SCENARIO_METRICS.
+const COMPARE_INPUTS = [
+  ["Capacity",       p=>p.capacity,    v=>`${v} MW`],
+  ["Technology",     p=>p.techType,    v=>v],
+  ["Zone",           p=>p.zone,        v=>v],
+  ["County",         p=>p.county,      v=>v],
+  ["Phase",          p=>p.phase,       v=>PHASES[v]?.short],
+  ["POI Co-located", p=>p.poiCount,    v=>v],
+  ["Days in Queue",  p=>p.daysInQueue, v=>v],
+  ["Firm Capacity",  p=>p.firmCapacity,v=>`${Math.round(v*100)}%`],
+  ["Energy Comm.",   p=>p.energyCommunity, v=>v?"Yes":"No"],
+  ["Behind Meter",   p=>p.behindMeter, v=>v?"Yes":"No"],
+  ["Storage",        p=>p.storageMw ? `${p.storageMw} MW / ${p.storageMwh || 0} MWh` : "", v=>v || "—"],
+  ["Grid Charging",  p=>!!p.gridCharging, v=>v?"Yes":"No"],
+];
+
+function CompareView({ projects, onClose }) {
+  const [results, setResults] = useState(null);
+  const [err, setErr]         = useState(null);
+
+  useEffect(() => {
+    Promise.all(projects.map(p => fetchPrediction(p.inputs)))
+      .then(setResults)
+      .catch(e => setErr(e.message));
+  }, [projects]);
+
+  const key = i => `p${i}`;
+  const phaseRows = PHASES.map((ph, k) => Object.fromEntries([
+    ["name", ph.short], ...(results || []).map((r, i) => [key(i), r.phaseData[k].risk]),
+  ]));
+  const mcRows = (results?.[0]?.mcSamples || []).map((m, q) => Object.fromEntries([
+    ["month", m.month], ...results.flatMap((r, i) =>
+      ["low", "mid", "high"].map(b => [`${key(i)}${b}`, r.mcSamples[q][b]])),
+  ]));
+  const radarRows = (results?.[0]?.radarData || []).map((d, k) => Object.fromEntries([
+    ["subject", d.subject], ...results.map((r, i) => [key(i), r.radarData[k].A]),
+  ]));
+
+  const cell = {padding:"8px 12px"};
+  const diffRow = (label, values, fmt, higherBetter) => {
+    const differs = values.some(v => v !== values[0]);
+    const best = higherBetter === undefined || !differs ? null
+      : higherBetter ? Math.max(...values) : Math.min(...values);
+    return (
+      <tr key={label} style={{borderBottom:`1px solid ${C.edge}20`, background: differs ? `${C.purple}0c` : "none"}}>
+        <td style={{...cell, color: differs ? C.text : C.muted}}>{label}</td>
+        {values.map((v, i) => (
+          <td key={i} style={{...cell, color: v===best ? C.green : differs ? C.text : C.sub,
+            fontWeight: v===best ? 700 : 400}}>{fmt(v)}</td>
+        ))}
+      </tr>
+    );
+  };
+
+  return (
+    <Card accent={`${C.purple}60`}>
+      <div style={{display:"flex", justifyContent:"space-between", alignItems:"center"}}>
+        <SectionTitle>Compare Projects</SectionTitle>
+        <button style={{...btn, marginBottom:14}} onClick={onClose}>CLOSE</button>
+      </div>
+      {err && <p style={{fontFamily:mono, fontSize:11, color:C.red}}>{err}</p>}
+      {!results && !err && (
+        <p style={{fontFamily:mono, fontSize:11, color:C.muted}}>Re-running {projects.length} projects ...</p>
+      )}
+      {results && (
+        <div style={{display:"flex", flexDirection:"column", gap:16}}>
+          <div style={{display:"grid", gridTemplateColumns:`repeat(${projects.length},1fr)`, gap:12}}>
+            {projects.map((p, i) => {
+              const r = results[i];
+              return (
+                <div key={p.id} style={{background:C.bg, border:`1px solid ${COMPARE_COLORS[i]}50`,
+                  borderTop:`3px solid ${COMPARE_COLORS[i]}`, borderRadius:8, padding:12}}>
+                  <p style={{fontFamily:mono, fontSize:12, fontWeight:700, color:COMPARE_COLORS[i],
+                    marginBottom:10}}>{p.name}</p>
+                  <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:8, justifyItems:"center"}}>
+                    <RingMetric label="WD Risk" value={r.wd} display={`${(r.wd*100).toFixed(0)}%`}
+                      color={r.wd>0.5?C.red:r.wd>0.3?C.amber:C.green}/>
+                    <RingMetric label="Timeline" value={r.timeline/48} display={r.timeline} sub="months" color={C.blue}/>
+                    <RingMetric label="Cost" value={r.cost/30} display={`$${r.cost}M`} color={C.amber}/>
+                    <RingMetric label="Score" value={r.score/100} display={r.score}
+                      color={r.score>=70?C.green:r.score>=50?C.amber:C.red}/>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          <div style={{display:"grid", gridTemplateColumns:"1fr 1fr 1fr", gap:12}}>
+            <div>
+              <p style={{...labelStyle, fontSize:9, marginBottom:8}}>Withdrawal Risk by Phase</p>
+              <ResponsiveContainer width="100%" height={180}>
+                <BarChart data={phaseRows}>
+                  <XAxis dataKey="name" tick={{fill:C.muted, fontSize:10, fontFamily:mono}} axisLine={false} tickLine={false}/>
+                  <YAxis tick={{fill:C.muted, fontSize:10}} axisLine={false} tickLine={false}
+                    tickFormatter={v=>`${v}%`} domain={[0,100]}/>
+                  <Tooltip contentStyle={tooltipStyle} formatter={(v,n)=>[`${v}%`, projects[+n.slice(1)]?.name]}/>
+                  {projects.map((p, i) => <Bar key={p.id} dataKey={key(i)} fill={COMPARE_COLORS[i]} radius={[3,3,0,0]}/>)}
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+            <div>
+              <p style={{...labelStyle, fontSize:9, marginBottom:8}}>Monte Carlo (median, P10–P90)</p>
+              <ResponsiveContainer width="100%" height={180}>
+                <LineChart data={mcRows}>
+                  <XAxis dataKey="month" tick={{fill:C.muted, fontSize:10, fontFamily:mono}} axisLine={false} tickLine={false}/>
+                  <YAxis tick={{fill:C.muted, fontSize:10}} axisLine={false} tickLine={false}
+                    tickFormatter={v=>`${(v*100).toFixed(0)}%`} domain={[0,1]}/>
+                  <Tooltip contentStyle={tooltipStyle}
+                    formatter={(v,n)=>[`${(v*100).toFixed(1)}%`, `${projects[parseInt(n.slice(1))]?.name} ${n.replace(/^p\d+/, "")}`]}/>
+                  {projects.flatMap((p, i) => ["low", "mid", "high"].map(b => (
+                    <Line key={`${p.id}${b}`} type="monotone" dataKey={`${key(i)}${b}`} stroke={COMPARE_COLORS[i]}
+                      strokeWidth={b==="mid"?2:1} strokeDasharray={b==="mid"?undefined:"4 3"}
+                      strokeOpacity={b==="mid"?1:0.5} dot={false}/>
+                  )))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+            <div>
+              <p style={{...labelStyle, fontSize:9, marginBottom:8}}>Project Health Radar</p>
+              <ResponsiveContainer width="100%" height={180}>
+                <RadarChart data={radarRows}>
+                  <PolarGrid stroke={C.edge}/>
+                  <PolarAngleAxis dataKey="subject" tick={{fill:C.muted, fontSize:9, fontFamily:mono}}/>
+                  {projects.map((p, i) => (
+                    <Radar key={p.id} dataKey={key(i)} stroke={COMPARE_COLORS[i]} fill={COMPARE_COLORS[i]}
+                      fillOpacity={0.08} strokeWidth={2}/>
+                  ))}
+                </RadarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          <table style={{width:"100%", borderCollapse:"collapse", fontFamily:mono, fontSize:12}}>
+            <thead>
+              <tr style={{borderBottom:`1px solid ${C.edge}`}}>
+                <th style={{...labelStyle, ...cell, textAlign:"left", fontSize:9}}/>
+                {projects.map((p, i) => (
+                  <th key={p.id} style={{...labelStyle, ...cell, textAlign:"left", fontSize:9,
+                    color:COMPARE_COLORS[i]}}>{p.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {COMPARE_INPUTS.map(([label, get, fmt]) => diffRow(label, projects.map(p=>get(p.inputs)), fmt))}
+              {SCENARIO_METRICS.map(([label, get, fmt, hb]) => diffRow(label, results.map(get), fmt, hb))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </Card>
+  );
+}
+
 // ─── Main page ────────────────────────────────────────────────────────────────
 
+const PAGE_SIZE = 10;
+const BATCH_LIMIT_MB = 5;   // matches the bodyParser sizeLimit in pages/api/batch.js
+
+const COMP_FILTERS = [["all", "All technologies"], ["storage", "Storage-bearing"], ["tech", "Same configuration"]];
+const compFilterFn = (filter, result) => c =>
+  filter === "storage" ? c.storage
+  : filter === "tech" ? c.techType === (result.storage?.tech ?? c.techType)
+  : true;
+
+// Blank means "use the default"; `scale` converts fractions to % for display.
+const ECONOMICS_FIELDS = [
+  { key:"capexPerMw",      label:"Capex ($M/MW)",       step:0.05, def:t=>t.capexPerMw },
+  { key:"capacityFactor",  label:"Capacity Factor (%)", step:1, scale:100, def:t=>t.capacityFactor },
+  { key:"price",           label:"Price ($/MWh)",       step:1,    def:t=>t.price },
+  { key:"discountRate",    label:"Discount Rate (%)",   step:0.5, scale:100, def:()=>DEFAULT_DISCOUNT_RATE },
+  { key:"codTargetMonths", label:"COD Target (months)", step:1,    def:()=>DEFAULT_COD_TARGET },
+];
+
+const DEFAULT_FORM = {
+  projectName:"", inr:"", poi:"", capacity:150, techType:"Solar", phase:1,
+  poiCount:6, zone:"WEST", county:"Glasscock", daysInQueue:210,
+  firmCapacity:NUMBER_RULES.firmCapacity.default, energyCommunity:false, behindMeter:false, costSharing:false,
+  capexPerMw:"", capacityFactor:"", price:"", discountRate:"", codTargetMonths:"",
+  storageMw:"", storageMwh:"", generationMw:"", gridCharging:false,
+};
+
 export default function Home() {
+  const router = useRouter();
   const [tab, setTab]         = useState("predictor");
-  const [form, setForm]       = useState({
-    projectName:"", capacity:150, techType:"Solar", phase:1,
-    poiCount:6, zone:"WEST", county:"Glasscock", daysInQueue:210,
-    firmCapacity:0.5, energyCommunity:false, behindMeter:false,
-  });
+  const [form, setForm]       = useState(DEFAULT_FORM);
   const [result, setResult]   = useState(null);
   const [loading, setLoading] = useState(false);
-  const [history, setHistory] = useState([]);
+  const [error, setError]     = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [storeReady, setStoreReady] = useState(false);
+  const [activeId, setActiveId] = useState(null);
+  const [editing, setEditing]   = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [rerunning, setRerunning] = useState(null);
+  const [newName, setNewName]   = useState("");
+  const [batch, setBatch]     = useState(null);
+  const [model, setModel]     = useState(null);
+  const [compCount, setCompCount] = useState(5);
+  const [compFilter, setCompFilter] = useState("all");
+  const [baseline, setBaseline]   = useState(null);
+  const [preset, setPreset]       = useState(null);
+  const [linkReady, setLinkReady] = useState(false);
+  const [linkNote, setLinkNote]   = useState(null);
+  const [queueQuery, setQueueQuery]     = useState("");
+  const [queueMatches, setQueueMatches] = useState([]);
+  const [compareIds, setCompareIds]     = useState([]);
+  const [comparing, setComparing]       = useState(null);
+  const [view, setView] = useState({ search:"", zone:"", county:"", techType:"", band:"", sort:{ key:"updatedAt", dir:"desc" }, page:0 });
+  const [geo, setGeo]             = useState(null);
+  const [mapMetric, setMapMetric] = useState("wd");
+  const [mapPicker, setMapPicker] = useState(false);
+  const [backtestReport, setBacktestReport] = useState(null);
+  const [poiMatches, setPoiMatches] = useState([]);
+  const [poiSearch, setPoiSearch]   = useState(false);
+  const [poiInfo, setPoiInfo]       = useState(null);
 
   const set = (k, v) => setForm(f => ({...f, [k]: v}));
+  const techEconomics = TECH_ECONOMICS[form.techType] || TECH_ECONOMICS.Other;
+  const mismatch = zoneMismatch(form);
+  const validation   = useMemo(() => validateFeatures(form), [form]);
+  const formValid    = !validation.errors.length;
+  const fieldError   = k => validation.errors.find(e => e.field === k)?.message;
+  const fieldWarning = k => validation.warnings.find(w => w.field === k)?.message;
+  const storage      = validation.features && storageConfig(validation.features);
+
+  useEffect(() => { setProjects(loadPortfolio()); setStoreReady(true); }, []);
+  useEffect(() => {
+    fetch("/api/model").then(r => r.json()).then(setModel).catch(() => {});
+  }, []);
+  useEffect(() => { if (storeReady) savePortfolio(projects); }, [projects, storeReady]);
+  useEffect(() => {
+    if (tab !== "model" || backtestReport) return;
+    fetch("/api/backtest").then(r => r.json()).then(setBacktestReport)
+      .catch(e => setBacktestReport({ error:e.message }));
+  }, [tab, backtestReport]);
+  useEffect(() => {
+    if (geo || (tab !== "map" && !mapPicker)) return;
+    fetch("/geo/texas-counties.geojson").then(r => r.json()).then(setGeo).catch(() => {});
+  }, [tab, mapPicker, geo]);
+
+  useEffect(() => {
+    if (queueQuery.trim().length < 2) { setQueueMatches([]); return; }
+    const ctl = new AbortController();
+    const t = setTimeout(() => {
+      fetch(`/api/queue?q=${encodeURIComponent(queueQuery)}&limit=8`, {signal:ctl.signal})
+        .then(r => r.json())
+        .then(d => setQueueMatches(d.projects || []))
+        .catch(() => {});
+    }, 250);
+    return () => { clearTimeout(t); ctl.abort(); };
+  }, [queueQuery]);
+
+  useEffect(() => {
+    if (!poiSearch || (form.poi || "").trim().length < 2) { setPoiMatches([]); return; }
+    const ctl = new AbortController();
+    const t = setTimeout(() => {
+      fetch(`/api/poi?q=${encodeURIComponent(form.poi)}&limit=8`, {signal:ctl.signal})
+        .then(r => r.json())
+        .then(d => setPoiMatches(d.pois || []))
+        .catch(() => {});
+    }, 250);
+    return () => { clearTimeout(t); ctl.abort(); };
+  }, [form.poi, poiSearch]);
+
+  useEffect(() => {
+    if (!(form.poi || "").trim()) { setPoiInfo(null); return; }
+    const ctl = new AbortController();
+    const t = setTimeout(() => {
+      fetch(`/api/poi?name=${encodeURIComponent(form.poi)}&inr=${encodeURIComponent(form.inr || "")}`, {signal:ctl.signal})
+        .then(r => r.ok ? r.json() : null)
+        .then(setPoiInfo)
+        .catch(() => {});
+    }, 250);
+    return () => { clearTimeout(t); ctl.abort(); };
+  }, [form.poi, form.inr]);
+
+  // Restore tab and inputs from a shared link once, then keep the URL in sync.
+  useEffect(() => {
+    if (!router.isReady || linkReady) return;
+    const link = queryToState(router.query, DEFAULT_FORM);
+    setTab(link.tab);
+    if (link.hasInputs) {
+      setForm(link.form);
+      if (link.fixed.length) setLinkNote(`Link values adjusted to valid ranges: ${link.fixed.join(", ")}`);
+      predict(link.form, { save:false });
+    }
+    setLinkReady(true);
+  }, [router.isReady]);
+
+  useEffect(() => {
+    if (!linkReady) return;
+    const t = setTimeout(() => router.replace(
+      { pathname:router.pathname, query:stateToQuery(tab, form) }, undefined, { shallow:true, scroll:false }), 300);
+    return () => clearTimeout(t);
+  }, [tab, form, linkReady]);
+
+  const copyLink = () => navigator.clipboard?.writeText(window.location.href);
+
+  // Choosing a county also sets its CDR zone; "Other" leaves the zone alone.
+  const pickCounty = name => setForm(f => ({ ...f, county:name, zone:countyZone(name) ?? f.zone }));
+
+  const filterByCounty = name => {
+    setView(s => ({...s, county:name, page:0}));
+    setTab("portfolio");
+  };
+
+  // Picking a known POI replaces the co-located count with the queue's.
+  const selectPoi = name => {
+    setPoiSearch(false);
+    setPoiMatches([]);
+    fetch(`/api/poi?name=${encodeURIComponent(name)}&inr=${encodeURIComponent(form.inr || "")}`)
+      .then(r => r.ok ? r.json() : null)
+      .then(d => {
+        setPoiInfo(d);
+        setForm(f => ({ ...f, poi:d?.poi ?? name, ...(d ? { poiCount:d.poiCount } : {}) }));
+      })
+      .catch(() => set("poi", name));
+  };
+
+  const loadQueueProject = p => {
+    setForm(f => ({
+      ...f,
+      projectName: p.projectName || p.inr,
+      inr:         p.inr,
+      poi:         p.poi || "",
+      capacity:    p.capacity,
+      techType:    p.techType,
+      phase:       p.phase,
+      poiCount:    p.poiCount,
+      zone:        p.zone || countyZone(p.county) || f.zone,
+      // Kept as reported so validation can warn; "Other" only once the user accepts it.
+      county:      p.county || "Other",
+      daysInQueue: p.daysInQueue ?? "",
+    }));
+    setQueueQuery("");
+    setQueueMatches([]);
+  };
 
-  const predict = () => {
+  // Link-triggered runs show the result without adding it to the portfolio.
+  const predict = async (inputs = form, { save = true } = {}) => {
     setLoading(true);
-    setTimeout(() => {
-      const r = simulatePrediction(form);
+    setError(null);
+    try {
+      const r   = await fetchPrediction(inputs);
       setResult(r);
-      setHistory(h => [{...form, ...r, ts: new Date().toLocaleTimeString()}, ...h].slice(0, 8));
+      setBaseline(inputs);
+      setPreset(null);
+      setModel(m => ({...m, ...r.model}));
+      if (!save) return;
+      const cur = projects.find(p => p.id === activeId && p.name === (inputs.projectName || "Unnamed"));
+      if (cur) {
+        setProjects(ps => ps.map(p => p.id === cur.id ? addRun(p, inputs, r) : p));
+      } else {
+        const created = createProject(inputs, r);
+        setProjects(ps => [...ps, created]);
+        setActiveId(created.id);
+      }
+    } catch (e) {
+      setError(e.message || "Prediction service unavailable");
+    } finally {
       setLoading(false);
-    }, 900);
+    }
   };
 
+  const runBatch = async file => {
+    if (!file) return;
+    const fail = message => setBatch({ file:file.name, errors:[{ line:"–", message }], warnings:[], scored:0 });
+    if (file.size > BATCH_LIMIT_MB * 1e6) return fail(`File is too large; the limit is ${BATCH_LIMIT_MB} MB`);
+    setBatch({ loading:true, file:file.name });
+    try {
+      const res  = await fetch("/api/batch", {
+        method:"POST", headers:{"Content-Type":"application/json"},
+        body:JSON.stringify({ csv: await file.text() }),
+      });
+      if (res.status === 413) return fail(`File is too large; the limit is ${BATCH_LIMIT_MB} MB`);
+      // Error pages from the server itself (not the route) are plain text.
+      const body = (res.headers.get("content-type") || "").includes("application/json") ? await res.json() : null;
+      if (!res.ok || !body) return fail(body?.error || `Batch scoring failed (HTTP ${res.status})`);
+      setProjects(ps => [...ps, ...body.results.map(r => createProject(r, r))]);
+      setBatch({ file:file.name, errors:body.errors, warnings:body.warnings || [], scored:body.results.length });
+    } catch (e) {
+      fail("Batch scoring service unavailable");
+    }
+  };
+
+  const openProject = p => {
+    setForm({...DEFAULT_FORM, ...p.inputs, projectName:p.name});
+    setActiveId(p.id);
+    setResult(null);
+    setError(null);
+    setTab("predictor");
+  };
+
+  const createNamedProject = () => {
+    const name = newName.trim();
+    if (!name) return;
+    const created = createProject({...DEFAULT_FORM, projectName:name});
+    setProjects(ps => [...ps, created]);
+    setNewName("");
+    openProject(created);
+  };
+
+  const rerunProject = async p => {
+    setRerunning(p.id);
+    try {
+      const r = await fetchPrediction(p.inputs);
+      setProjects(ps => ps.map(x => x.id === p.id ? addRun(x, p.inputs, r) : x));
+    } catch (e) {
+      window.alert(`Re-run failed: ${e.message}`);
+    } finally {
+      setRerunning(null);
+    }
+  };
+
+  const commitRename = () => {
+    const name = editing?.name.trim();
+    if (name) setProjects(ps => ps.map(p => p.id === editing.id ? renameProject(p, name) : p));
+    if (name && editing.id === activeId) set("projectName", name);
+    setEditing(null);
+  };
+
+  const exportPortfolio = async kind => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (kind === "csv")  downloadFile(`portfolio-${stamp}.csv`, toCsv(EXPORT_COLUMNS, exportRows(projects)), "text/csv");
+    if (kind === "json") downloadFile(`portfolio-${stamp}.json`, portfolioJson(projects), "application/json");
+    if (kind === "xlsx") downloadFile(`portfolio-${stamp}.xlsx`, await portfolioXlsx(projects),
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  };
+
+  const importPortfolio = async file => {
+    if (!file) return;
+    try {
+      const imported = parsePortfolioJson(await file.text());
+      if (projects.length && !window.confirm(
+        `Replace the current portfolio (${projects.length} projects) with ${imported.length} projects from ${file.name}?`)) return;
+      setProjects(imported);
+      setActiveId(null);
+      setExpanded(null);
+    } catch (e) {
+      window.alert(`Import failed: ${e.message}`);
+    }
+  };
+
+  const exportMemo = () => {
+    const now = new Date();
+    downloadFile(memoFileName(baseline, now), buildMemoHtml({form:baseline, result, generatedAt:now}), "text/html");
+  };
+
+  const deleteProject = p => {
+    if (!window.confirm(`Delete "${p.name}" and all ${p.runs.length} saved predictions?`)) return;
+    setProjects(ps => ps.filter(x => x.id !== p.id));
+    setCompareIds(ids => ids.filter(id => id !== p.id));
+    if (p.id === activeId) setActiveId(null);
+  };
+
+  const applyReportUpdates = updates => setProjects(ps => ps.map(p => {
+    const u = updates.find(x => x.id === p.id);
+    return u ? addRun(p, { ...p.inputs, ...u.entry.inputs, projectName:p.name }, u.entry) : p;
+  }));
+
+  const toggleCompare = id => setCompareIds(ids =>
+    ids.includes(id) ? ids.filter(x => x !== id) : ids.length < 4 ? [...ids, id] : ids);
+
+  const history = portfolioRows(projects).sort((a,b) => b.ts.localeCompare(a.ts));
+
   const riskColor  = !result ? C.green : result.wd > 0.5 ? C.red : result.wd > 0.3 ? C.amber : C.green;
   const scoreColor = !result ? C.blue  : result.score >= 70 ? C.green : result.score >= 50 ? C.amber : C.red;
 
-  const portStats = history.length ? {
-    avgScore: Math.round(history.reduce((a,h)=>a+h.score,0)/history.length),
-    highRisk: history.filter(h=>h.wd>0.5).length,
-    avgCost:  (history.reduce((a,h)=>a+h.cost,0)/history.length).toFixed(1),
-    totalMW:  history.reduce((a,h)=>a+h.capacity,0),
+  // Filters reset to the first page; sorting and paging keep the filters.
+  const setFilter = (k, v) => setView(s => ({...s, [k]:v, page:0}));
+  const filtered  = sortRows(filterRows(tableRows(projects), view), view.sort);
+  const pageCount = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+  const page      = Math.min(view.page, pageCount - 1);
+  const pageRows  = filtered.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+  const shown     = filtered.filter(r => typeof r.wd === "number");
+  const filteredView = shown.length < history.length;
+
+  const countyStats = Object.fromEntries(breakdown(history.filter(h => h.county !== "Other"), h => h.county)
+    .map(c => [c.name, c]));
+
+  const portStats = shown.length ? {
+    avgScore: Math.round(shown.reduce((a,h)=>a+h.score,0)/shown.length),
+    highRisk: shown.filter(h=>h.wd>0.5).length,
+    avgCost:  (shown.reduce((a,h)=>a+h.cost,0)/shown.length).toFixed(1),
+    totalMW:  shown.reduce((a,h)=>a+h.capacity,0),
   } : null;
 
   return (
@@ -170,7 +1516,7 @@ export default function Home() {
                 letterSpacing:3, color:C.text}}>QUEUE PREDICTOR</span>
             </div>
             <span style={{color:C.edge}}>|</span>
-            {["predictor","portfolio","about"].map(t => (
+            {TABS.map(t => (
               <button key={t} onClick={()=>setTab(t)} style={{
                 background:"none", border:"none", cursor:"pointer",
                 padding:"4px 12px", fontFamily:sans, fontSize:12, fontWeight:600,
@@ -182,8 +1528,10 @@ export default function Home() {
             ))}
           </div>
           <div style={{display:"flex", gap:8, alignItems:"center"}}>
-            <Tag color={C.green}>LIVE MODEL</Tag>
-            <Tag color={C.blue}>92.4% ACC</Tag>
+            <Tag color={C.green}>MODEL {model?.version || "…"}</Tag>
+            <Tag color={model?.backtest?.current ? C.blue : C.amber}>
+              {model?.backtest?.current ? `${(model.backtest.accuracy*100).toFixed(1)}% ACC` : "UNVALIDATED"}
+            </Tag>
             <Tag color={C.purple}>ERCOT · TX</Tag>
           </div>
         </nav>
@@ -200,15 +1548,41 @@ export default function Home() {
             }}>
               <SectionTitle>Project Identity</SectionTitle>
 
+              <FieldWrap label="Load from GIS Queue">
+                <div style={{position:"relative"}}>
+                  <input style={inp} placeholder="Search INR, name or county"
+                    value={queueQuery} onChange={e=>setQueueQuery(e.target.value)}/>
+                  {queueMatches.length > 0 && (
+                    <div style={{
+                      position:"absolute", top:"100%", left:0, right:0, zIndex:10, marginTop:4,
+                      background:C.panel, border:`1px solid ${C.edge}`, borderRadius:6,
+                      maxHeight:260, overflowY:"auto",
+                    }}>
+                      {queueMatches.map(p=>(
+                        <div key={p.inr} onClick={()=>loadQueueProject(p)} style={{
+                          padding:"8px 12px", cursor:"pointer", borderBottom:`1px solid ${C.edge}`,
+                        }}>
+                          <p style={{fontFamily:mono, fontSize:11, color:C.text}}>
+                            {p.inr} · {p.projectName||"Unnamed"}</p>
+                          <p style={{fontSize:10, color:C.muted, marginTop:2}}>
+                            {p.capacity}MW · {p.techType} · {p.county} · {PHASES[p.phase]?.short}</p>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </FieldWrap>
+
               <FieldWrap label="Project Name">
                 <input style={inp} placeholder="e.g. West Texas Solar Farm I"
                   value={form.projectName} onChange={e=>set("projectName",e.target.value)}/>
               </FieldWrap>
 
               <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:12}}>
-                <FieldWrap label="Capacity (MW)">
-                  <input style={inp} type="number" min={1} max={999}
-                    value={form.capacity} onChange={e=>set("capacity",+e.target.value)}/>
+                <FieldWrap label="Capacity (MW)" error={fieldError("capacity")}>
+                  <input style={{...inp, ...errorBorder(fieldError("capacity"))}} type="number"
+                    min={NUMBER_RULES.capacity.min} max={NUMBER_RULES.capacity.max}
+                    value={form.capacity} onChange={e=>set("capacity",num(e.target.value))}/>
                 </FieldWrap>
                 <FieldWrap label="Technology">
                   <select style={inp} value={form.techType} onChange={e=>set("techType",e.target.value)}>
@@ -219,16 +1593,38 @@ export default function Home() {
 
               <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:12}}>
                 <FieldWrap label="CDR Zone">
-                  <select style={inp} value={form.zone} onChange={e=>set("zone",e.target.value)}>
+                  <select style={{...inp, ...(mismatch ? {borderColor:C.amber} : {})}} value={form.zone}
+                    onChange={e=>set("zone",e.target.value)}>
                     {ZONES.map(z=><option key={z}>{z}</option>)}
                   </select>
                 </FieldWrap>
                 <FieldWrap label="County">
-                  <select style={inp} value={form.county} onChange={e=>set("county",e.target.value)}>
+                  <select style={{...inp, ...errorBorder(null, fieldWarning("county"))}} value={form.county}
+                    onChange={e=>pickCounty(e.target.value)}>
+                    {!COUNTIES.includes(form.county) && <option>{form.county}</option>}
                     {COUNTIES.map(c=><option key={c}>{c}</option>)}
                   </select>
                 </FieldWrap>
               </div>
+              {fieldWarning("county") && (
+                <p style={{fontFamily:mono, fontSize:10, color:C.amber, lineHeight:1.6}}>
+                  ⚠ {fieldWarning("county")}.{" "}
+                  <span style={{textDecoration:"underline", cursor:"pointer"}}
+                    onClick={()=>pickCounty("Other")}>Use Other</span>
+                </p>
+              )}
+              {mismatch && (
+                <p style={{fontFamily:mono, fontSize:10, color:C.amber, lineHeight:1.6}}>
+                  ⚠ {form.county} county is in the {mismatch} zone, not {form.zone}.{" "}
+                  <span style={{textDecoration:"underline", cursor:"pointer"}}
+                    onClick={()=>set("zone", mismatch)}>Use {mismatch}</span>
+                </p>
+              )}
+              <button style={{...btn, alignSelf:"flex-start"}} onClick={()=>setMapPicker(v=>!v)}>
+                {mapPicker ? "HIDE MAP" : "PICK ON MAP"}</button>
+              {mapPicker && (geo
+                ? <CountyMap geo={geo} width={300} metric="zone" selected={form.county} onSelect={pickCounty}/>
+                : <p style={{fontFamily:mono, fontSize:10, color:C.muted}}>Loading map ...</p>)}
 
               <div style={{height:1, background:C.edge}}/>
               <SectionTitle>Queue Status</SectionTitle>
@@ -252,21 +1648,50 @@ export default function Home() {
                 {PHASES[form.phase]?.label}
               </p>
 
+              <FieldWrap label="Point of Interconnection">
+                <div style={{position:"relative"}}>
+                  <input style={inp} placeholder="Search substation or POI"
+                    value={form.poi || ""} onChange={e=>{ set("poi",e.target.value); setPoiSearch(true); }}
+                    onBlur={()=>setTimeout(()=>setPoiSearch(false), 150)}/>
+                  {poiSearch && poiMatches.length > 0 && (
+                    <div style={{
+                      position:"absolute", top:"100%", left:0, right:0, zIndex:10, marginTop:4,
+                      background:C.panel, border:`1px solid ${C.edge}`, borderRadius:6,
+                      maxHeight:260, overflowY:"auto",
+                    }}>
+                      {poiMatches.map(p=>(
+                        <div key={p.poi} onMouseDown={()=>selectPoi(p.poi)} style={{
+                          padding:"8px 12px", cursor:"pointer", borderBottom:`1px solid ${C.edge}`,
+                        }}>
+                          <p style={{fontFamily:mono, fontSize:11, color:C.text}}>{p.poi}</p>
+                          <p style={{fontSize:10, color:C.muted, marginTop:2}}>
+                            {p.active} active · {p.activeMw.toLocaleString()}MW · {p.county} · {p.zone}</p>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </FieldWrap>
+
               <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:12}}>
-                <FieldWrap label="POI Co-located">
-                  <input style={inp} type="number" min={1} max={50}
-                    value={form.poiCount} onChange={e=>set("poiCount",+e.target.value)}/>
+                <FieldWrap label="POI Co-located" error={fieldError("poiCount")}>
+                  <input style={{...inp, ...errorBorder(fieldError("poiCount"), poiInfo && poiInfo.poiCount !== form.poiCount)}}
+                    type="number" min={NUMBER_RULES.poiCount.min} max={NUMBER_RULES.poiCount.max}
+                    value={form.poiCount} onChange={e=>set("poiCount",num(e.target.value))}/>
                 </FieldWrap>
-                <FieldWrap label="Days in Queue">
-                  <input style={inp} type="number" min={0} max={1825}
-                    value={form.daysInQueue} onChange={e=>set("daysInQueue",+e.target.value)}/>
+                <FieldWrap label="Days in Queue" error={fieldError("daysInQueue")} warning={fieldWarning("daysInQueue")}>
+                  <input style={{...inp, ...errorBorder(fieldError("daysInQueue"), fieldWarning("daysInQueue"))}}
+                    type="number" min={NUMBER_RULES.daysInQueue.min} max={NUMBER_RULES.daysInQueue.max}
+                    value={form.daysInQueue} onChange={e=>set("daysInQueue",num(e.target.value))}/>
                 </FieldWrap>
               </div>
 
+              {poiInfo && <PoiPanel info={poiInfo} poiCount={form.poiCount} onUse={n=>set("poiCount", n)}/>}
+
               <div style={{height:1, background:C.edge}}/>
               <SectionTitle>Project Configuration</SectionTitle>
 
-              <FieldWrap label={`Firm Capacity — ${Math.round(form.firmCapacity*100)}%`}>
+              <FieldWrap label={`Firm Capacity — ${Math.round(form.firmCapacity*100)}%`} warning={fieldWarning("firmCapacity")}>
                 <input type="range" min={0} max={1} step={0.05}
                   value={form.firmCapacity} onChange={e=>set("firmCapacity",+e.target.value)}
                   style={{width:"100%", accentColor:C.blue}}/>
@@ -276,6 +1701,7 @@ export default function Home() {
                 {[
                   {key:"energyCommunity", label:"IRA Energy Community"},
                   {key:"behindMeter",     label:"Behind the Meter"},
+                  {key:"costSharing",     label:"Share POI Upgrades"},
                 ].map(({key,label})=>(
                   <label key={key} style={{
                     display:"flex", alignItems:"center", gap:8, cursor:"pointer",
@@ -289,18 +1715,87 @@ export default function Home() {
                   </label>
                 ))}
               </div>
+              {fieldWarning("behindMeter") && (
+                <p style={{fontFamily:mono, fontSize:10, color:C.amber, marginTop:-8}}>⚠ {fieldWarning("behindMeter")}</p>
+              )}
+
+              <div style={{height:1, background:C.edge}}/>
+              <SectionTitle>Storage Configuration</SectionTitle>
+              <div style={{display:"grid", gridTemplateColumns:"1fr 1fr 1fr", gap:10}}>
+                {[
+                  {key:"storageMw",    label:"Storage MW",  def:storage?.storageMw},
+                  {key:"storageMwh",   label:"Storage MWh", def:storage?.storageMwh},
+                  {key:"generationMw", label:"Gen MW",      def:storage?.generationMw},
+                ].map(({key, label, def})=>(
+                  <FieldWrap key={key} label={label} error={fieldError(key)} warning={fieldWarning(key)}>
+                    <input style={{...inp, ...errorBorder(fieldError(key), fieldWarning(key))}} type="number"
+                      min={NUMBER_RULES[key].min} max={NUMBER_RULES[key].max}
+                      placeholder={def == null ? "" : String(Math.round(def))}
+                      value={form[key] ?? ""} onChange={e=>set(key, num(e.target.value))}/>
+                  </FieldWrap>
+                ))}
+              </div>
+              {storage?.hasStorage && (
+                <p style={{fontFamily:mono, fontSize:10, color:C.sub, marginTop:-6, lineHeight:1.6}}>
+                  {storage.durationHours}h duration · {Math.round((1 - storage.storageShare) * 100)}% generation /
+                  {" "}{Math.round(storage.storageShare * 100)}% storage · {Math.round(storage.firmCredit * 100)}% firm credit</p>
+              )}
+              <label style={{
+                display:"flex", alignItems:"center", gap:8, cursor:"pointer",
+                background:C.panel, border:`1px solid ${C.edge}`, borderRadius:6, padding:"10px 12px",
+              }}>
+                <input type="checkbox" checked={!!form.gridCharging}
+                  onChange={e=>set("gridCharging",e.target.checked)}
+                  style={{accentColor:C.blue, width:14, height:14}}/>
+                <span style={{fontFamily:sans, fontSize:11, color:C.sub, fontWeight:500}}>Storage charges from the grid</span>
+              </label>
+              {fieldWarning("gridCharging") && (
+                <p style={{fontFamily:mono, fontSize:10, color:C.amber, marginTop:-8}}>⚠ {fieldWarning("gridCharging")}</p>
+              )}
 
-              <button onClick={predict} disabled={loading} style={{
-                background: loading ? C.edge : C.blue,
+              <div style={{height:1, background:C.edge}}/>
+              <SectionTitle>Project Economics</SectionTitle>
+              <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:12}}>
+                {ECONOMICS_FIELDS.map(({key, label, scale=1, step, def})=>{
+                  const rule  = NUMBER_RULES[key];
+                  const error = fieldError(key) && (scale === 1 ? fieldError(key)
+                    : `must be between ${rule.min * scale} and ${rule.max * scale}`);
+                  return (
+                    <FieldWrap key={key} label={label} error={error} warning={fieldWarning(key)}>
+                      <input style={{...inp, ...errorBorder(error, fieldWarning(key))}} type="number" step={step}
+                        min={rule.min * scale} max={rule.max * scale}
+                        placeholder={String(+(def(techEconomics) * scale).toFixed(2))}
+                        value={(form[key] ?? "") === "" ? "" : +(form[key] * scale).toFixed(4)}
+                        onChange={e=>set(key, e.target.value === "" ? "" : +e.target.value / scale)}/>
+                    </FieldWrap>
+                  );
+                })}
+              </div>
+              <p style={{fontFamily:mono, fontSize:10, color:C.muted, marginTop:-6}}>
+                Blank fields use {form.techType} defaults.</p>
+
+              <button onClick={()=>predict()} disabled={loading || !formValid} style={{
+                background: loading || !formValid ? C.edge : C.blue,
                 border:"none", borderRadius:8, color:"#fff",
                 padding:"13px 24px", fontSize:12, fontWeight:700,
                 letterSpacing:2, textTransform:"uppercase",
-                cursor: loading ? "not-allowed" : "pointer",
+                cursor: loading || !formValid ? "not-allowed" : "pointer",
                 fontFamily:mono, transition:"all 0.2s",
-                boxShadow: loading ? "none" : `0 0 24px ${C.blue}25`,
+                boxShadow: loading || !formValid ? "none" : `0 0 24px ${C.blue}25`,
               }}>
                 {loading ? "ANALYZING ..." : "RUN PREDICTION"}
               </button>
+              {!formValid && (
+                <p style={{fontFamily:mono, fontSize:10, color:C.red, marginTop:-8}}>
+                  Fix {validation.errors.length} field{validation.errors.length === 1 ? "" : "s"} to run.</p>
+              )}
+
+              {linkNote && (
+                <p style={{fontFamily:mono, fontSize:11, color:C.amber, lineHeight:1.6}}>{linkNote}</p>
+              )}
+              {error && (
+                <p style={{fontFamily:mono, fontSize:11, color:C.red, lineHeight:1.6}}>{error}</p>
+              )}
 
               {history.length > 0 && <>
                 <div style={{height:1, background:C.edge}}/>
@@ -316,7 +1811,7 @@ export default function Home() {
                         <p style={{fontFamily:mono, fontSize:11, color:C.text}}>
                           {h.projectName||"Unnamed"}</p>
                         <p style={{fontSize:10, color:C.muted, marginTop:2}}>
-                          {h.capacity}MW · {h.techType} · {h.ts}</p>
+                          {h.capacity}MW · {h.techType} · {new Date(h.ts).toLocaleTimeString()}</p>
                       </div>
                       <span style={{
                         fontFamily:mono, fontSize:16, fontWeight:700,
@@ -357,7 +1852,7 @@ export default function Home() {
                         {form.projectName || "Unnamed Project"}
                       </h2>
                       <p style={{fontSize:12, color:C.muted, marginTop:6, letterSpacing:0.5}}>
-                        {form.capacity} MW · {form.techType} · {form.zone} Zone · {form.county} County · {PHASES[form.phase]?.label}
+                        {form.inr && `${form.inr} · `}{form.capacity} MW · {form.techType} · {form.zone} Zone · {form.county} County · {PHASES[form.phase]?.label}
                       </p>
                     </div>
                     <div style={{textAlign:"right", flexShrink:0, marginLeft:20}}>
@@ -365,6 +1860,10 @@ export default function Home() {
                       <p style={{fontFamily:mono, fontSize:48, fontWeight:700,
                         lineHeight:1, marginTop:4, color:scoreColor}}>{result.score}</p>
                       <p style={{fontSize:11, color:C.muted, marginTop:2}}>out of 100</p>
+                      <div style={{display:"flex", gap:6, justifyContent:"flex-end", marginTop:10}}>
+                        <button onClick={copyLink} style={btn}>COPY LINK</button>
+                        <button onClick={exportMemo} style={btn}>EXPORT MEMO</button>
+                      </div>
                     </div>
                   </div>
 
@@ -376,23 +1875,27 @@ export default function Home() {
                       display={result.timeline} sub="months" color={C.blue}/>
                     <RingMetric label="Upgrade Cost" value={result.cost/30}
                       display={`$${result.cost}M`} color={C.amber}/>
-                    <RingMetric label="IRR Impact" value={Math.abs(result.irrHit)/5}
-                      display={`${result.irrHit}%`} color={C.red}/>
+                    <RingMetric label="IRR Impact" value={Math.abs(result.irrHit ?? 0)/5}
+                      display={result.irrHit == null ? "n/a" : `${result.irrHit}%`} color={C.red}/>
                   </Card>
 
                   {/* Confidence intervals */}
                   <div style={{display:"grid", gridTemplateColumns:"1fr 1fr 1fr", gap:12}}>
                     <StatBox label="Timeline Range"
                       value={`${result.tlLow}–${result.tlHigh} mo`}
-                      sub="95% confidence interval" color={C.blue}/>
+                      sub={`P10–P90: ${result.schedule?.phases.at(-2).milestone ?? "IA signed"}`} color={C.blue}/>
                     <StatBox label="Cost Range"
                       value={`$${result.costLow}–$${result.costHigh}M`}
-                      sub="95% confidence interval" color={C.amber}/>
+                      sub="P10–P90 of cost simulation" color={C.amber}/>
                     <StatBox label="Revenue at Risk"
                       value={`$${result.revenueAtRisk}M`}
-                      sub="Projected lifetime exposure" color={C.red}/>
+                      sub="Revenue lost to delay" color={C.red}/>
                   </div>
 
+                  {result.schedule && <MilestoneGantt schedule={result.schedule}/>}
+
+                  {result.costModel && <UpgradeCostCard model={result.costModel} cost={result.cost}/>}
+
                   {/* Charts */}
                   <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:16}}>
                     <Card>
@@ -442,7 +1945,7 @@ export default function Home() {
                       </ResponsiveContainer>
                       <p style={{fontFamily:mono, fontSize:9, color:C.muted,
                         marginTop:8, textAlign:"center"}}>
-                        — median &nbsp;· · ·&nbsp; 95% CI bounds
+                        cumulative withdrawal · — median &nbsp;· · ·&nbsp; P10 / P90 of 10,000 simulated paths
                       </p>
                     </Card>
                   </div>
@@ -460,6 +1963,14 @@ export default function Home() {
                             fillOpacity={0.15} strokeWidth={2}/>
                         </RadarChart>
                       </ResponsiveContainer>
+                      {result.location?.known && (
+                        <p style={{fontFamily:mono, fontSize:10, color:C.muted, lineHeight:1.7, marginTop:8}}>
+                          LOCATION {result.location.score} · {result.location.loadDistanceKm} km to {result.location.nearestLoad}
+                          {" "}· {result.location.queueProjects} active in {result.location.county} ({result.location.queuedMw} MW)
+                          {result.location.withdrawalRate != null &&
+                            ` · ${(result.location.withdrawalRate*100).toFixed(0)}% county withdrawal rate`}
+                        </p>
+                      )}
                     </Card>
 
                     <Card accent={`${riskColor}40`}
@@ -468,21 +1979,19 @@ export default function Home() {
                         alignItems:"center", marginBottom:14}}>
                         <SectionTitle>Risk Assessment</SectionTitle>
                         <Tag color={riskColor}>
-                          {result.wd>0.5?"HIGH RISK":result.wd>0.3?"MODERATE":"LOW RISK"}
+                          {riskLevel(result.wd)}
                         </Tag>
                       </div>
                       <p style={{fontSize:13, color:C.sub, lineHeight:1.7, marginBottom:16}}>
-                        {result.wd > 0.5
-                          ? `This project carries elevated withdrawal risk at ${(result.wd*100).toFixed(0)}%. The ${form.zone} zone congestion (${form.poiCount} co-located projects) and ${PHASES[form.phase]?.label} phase position drive this exposure. Projected ${result.timeline}-month timeline and $${result.cost}M upgrade costs represent meaningful IRR headwinds of ${result.irrHit}%.`
-                          : result.wd > 0.3
-                          ? `Moderate risk profile at ${(result.wd*100).toFixed(0)}% withdrawal probability. ${form.zone} zone POI congestion with ${form.poiCount} co-located projects adds queue pressure. Timeline of ${result.timeline} months and $${result.cost}M costs are within typical range.`
-                          : `Strong fundamentals with only ${(result.wd*100).toFixed(0)}% withdrawal risk. ${PHASES[form.phase]?.label} phase provides queue stability. Expected ${result.timeline}-month completion and $${result.cost}M upgrade costs are favorable relative to comparable ${form.zone} projects.`}
+                        {riskNarrative(form, result)}
                       </p>
-                      <div style={{display:"grid", gridTemplateColumns:"1fr 1fr 1fr", gap:8}}>
+                      <div style={{display:"grid", gridTemplateColumns:"repeat(4,1fr)", gap:8}}>
                         {[
                           {k:"Energy Community", v:form.energyCommunity?"Eligible":"Not Eligible", c:form.energyCommunity?C.green:C.muted},
                           {k:"Behind the Meter",  v:form.behindMeter?"Yes":"No", c:form.behindMeter?C.green:C.muted},
-                          {k:"Firm Capacity",     v:`${Math.round(form.firmCapacity*100)}%`, c:C.blue},
+                          {k:"Firm Capacity",     v:`${Math.round((result.storage?.firmCapacity ?? form.firmCapacity)*100)}%`, c:C.blue},
+                          {k:"Storage",           v:result.storage ? storageLabel(result.storage) : "—",
+                            c:result.storage?.hasStorage ? C.purple : C.muted},
                         ].map(({k,v,c})=>(
                           <div key={k} style={{background:C.bg, borderRadius:6,
                             padding:"10px 12px", border:`1px solid ${C.edge}`}}>
@@ -491,9 +2000,16 @@ export default function Home() {
                           </div>
                         ))}
                       </div>
+                      {result.finance && <FinancePanel finance={result.finance}/>}
                     </Card>
                   </div>
 
+                  {/* Explainability */}
+                  <Card>
+                    <SectionTitle>Why This Prediction</SectionTitle>
+                    <AttributionWaterfall attribution={result.attribution}/>
+                  </Card>
+
                   {/* What-If Scenarios */}
                   <Card>
                     <SectionTitle>What-If Optimization Scenarios</SectionTitle>
@@ -501,7 +2017,7 @@ export default function Home() {
                       {result.scenarios.map((s,i)=>(
                         <div key={i} style={{
                           background:C.bg, borderRadius:8, padding:14,
-                          border:`1px solid ${C.edge}`,
+                          border:`1px solid ${preset===s ? C.purple : C.edge}`,
                           display:"flex", gap:12, alignItems:"flex-start",
                         }}>
                           <div style={{
@@ -517,31 +2033,60 @@ export default function Home() {
                             <p style={{fontSize:12, color:C.text,
                               fontWeight:600, marginBottom:6}}>{s.label}</p>
                             <div style={{display:"flex", gap:6, flexWrap:"wrap"}}>
-                              <Tag color={s.wdDelta<0?C.green:C.red}>
-                                WD {s.wdDelta<0?"":"+"}{ (s.wdDelta*100).toFixed(0)}%
+                              <Tag color={s.wdDelta===0?C.muted:s.wdDelta<0?C.green:C.red}>
+                                WD {s.wdDelta<0?"":"+"}{(s.wdDelta*100).toFixed(1)}%
                               </Tag>
                               {s.costDelta!==0 && <Tag color={s.costDelta<0?C.green:C.red}>
-                                Cost {s.costDelta<0?"":"+"}${Math.abs(s.costDelta).toFixed(1)}M
+                                Cost {s.costDelta<0?"-":"+"}${Math.abs(s.costDelta).toFixed(1)}M
                               </Tag>}
                               {s.tlDelta!==0 && <Tag color={s.tlDelta<0?C.green:C.amber}>
-                                TL {s.tlDelta<0?"":"+"}{ s.tlDelta}mo
+                                TL {s.tlDelta<0?"":"+"}{s.tlDelta}mo
+                              </Tag>}
+                              {s.scoreDelta!==0 && <Tag color={s.scoreDelta>0?C.green:C.red}>
+                                Score {s.scoreDelta>0?"+":""}{s.scoreDelta}
                               </Tag>}
                             </div>
                           </div>
+                          <button style={btn} onClick={()=>setPreset(s)}>COMPARE</button>
                         </div>
                       ))}
                     </div>
                   </Card>
 
+                  <Card>
+                    <SectionTitle>Custom Scenario vs Baseline</SectionTitle>
+                    <ScenarioBuilder baseline={baseline} baseResult={result} preset={preset}/>
+                  </Card>
+
                   {/* Comparable Projects */}
                   <Card>
-                    <SectionTitle>Comparable Projects</SectionTitle>
+                    <div style={{display:"flex", justifyContent:"space-between", alignItems:"center"}}>
+                      <SectionTitle>Comparable Projects</SectionTitle>
+                      <label style={{...labelStyle, fontSize:9, display:"flex", alignItems:"center",
+                        gap:8, marginBottom:14}}>
+                        Neighbors
+                        <select style={{...inp, width:"auto", padding:"4px 8px", fontSize:11}}
+                          value={compCount} onChange={e=>setCompCount(+e.target.value)}>
+                          {[3,5,10,15,25].map(n=><option key={n} value={n}>{n}</option>)}
+                        </select>
+                        <select style={{...inp, width:"auto", padding:"4px 8px", fontSize:11}}
+                          value={compFilter} onChange={e=>setCompFilter(e.target.value)}>
+                          {COMP_FILTERS.map(([v,l])=><option key={v} value={v}>{l}</option>)}
+                        </select>
+                      </label>
+                    </div>
+                    {!result.comps.length ? (
+                      <p style={{fontSize:12, color:C.muted}}>
+                        No local queue data yet. Import a GIS Status Report with
+                        {" "}<span style={{fontFamily:mono}}>npm run import-gis</span> to find comparable projects.
+                      </p>
+                    ) : (
                     <div style={{overflowX:"auto"}}>
                       <table style={{width:"100%", borderCollapse:"collapse",
                         fontFamily:mono, fontSize:12}}>
                         <thead>
                           <tr style={{borderBottom:`1px solid ${C.edge}`}}>
-                            {["Project","MW","Zone","Withdraw Risk","Timeline","Cost","Status"].map(h=>(
+                            {["Project","MW","Tech","Zone","County","Phase","Similarity","Outcome"].map(h=>(
                               <th key={h} style={{...labelStyle, padding:"8px 12px",
                                 textAlign:"left", fontSize:9}}>{h}</th>
                             ))}
@@ -553,37 +2098,46 @@ export default function Home() {
                             <td style={{padding:"10px 12px", color:C.blue, fontWeight:700}}>
                               ► {form.projectName||"This Project"}</td>
                             <td style={{padding:"10px 12px"}}>{form.capacity}</td>
+                            <td style={{padding:"10px 12px"}}>
+                              {result.storage?.hasStorage ? `${result.storage.tech} +${Math.round(result.storage.storageMwh)}MWh` : form.techType}</td>
                             <td style={{padding:"10px 12px"}}>{form.zone}</td>
-                            <td style={{padding:"10px 12px", color:riskColor}}>
-                              {(result.wd*100).toFixed(1)}%</td>
-                            <td style={{padding:"10px 12px"}}>{result.timeline} mo</td>
-                            <td style={{padding:"10px 12px"}}>${result.cost}M</td>
+                            <td style={{padding:"10px 12px"}}>{form.county}</td>
+                            <td style={{padding:"10px 12px"}}>{PHASES[form.phase]?.short}</td>
+                            <td style={{padding:"10px 12px"}}>—</td>
                             <td style={{padding:"10px 12px"}}>
                               <Tag color={C.blue}>CURRENT</Tag></td>
                           </tr>
-                          {result.comps.map((c,i)=>(
-                            <tr key={i} style={{borderBottom:`1px solid ${C.edge}20`}}>
-                              <td style={{padding:"10px 12px", color:C.sub}}>{c.name}</td>
+                          {result.comps.filter(compFilterFn(compFilter, result)).slice(0, compCount).map(c=>(
+                            <tr key={c.inr} style={{borderBottom:`1px solid ${C.edge}20`}}>
+                              <td style={{padding:"10px 12px", color:C.sub}}>
+                                {c.name}
+                                <span style={{display:"block", fontSize:10, color:C.muted}}>{c.inr}</span></td>
                               <td style={{padding:"10px 12px", color:C.sub}}>{c.mw}</td>
-                              <td style={{padding:"10px 12px", color:C.sub}}>{c.zone}</td>
+                              <td style={{padding:"10px 12px", color:C.sub}}>{c.techType}</td>
+                              <td style={{padding:"10px 12px", color:C.sub}}>{c.zone || "—"}</td>
+                              <td style={{padding:"10px 12px", color:C.sub}}>{c.county}</td>
+                              <td style={{padding:"10px 12px", color:C.sub}}>{PHASES[c.phase]?.short}</td>
                               <td style={{padding:"10px 12px",
-                                color:c.wd>0.5?C.red:c.wd>0.3?C.amber:C.green}}>
-                                {(c.wd*100).toFixed(1)}%</td>
-                              <td style={{padding:"10px 12px", color:C.sub}}>{c.tl} mo</td>
-                              <td style={{padding:"10px 12px", color:C.sub}}>${c.cost}M</td>
+                                color:c.similarity>=75?C.green:c.similarity>=50?C.amber:C.sub}}>
+                                {c.similarity}%</td>
                               <td style={{padding:"10px 12px"}}>
-                                <Tag color={c.status==="IA Signed"?C.green:C.blue}>
+                                <Tag color={c.status==="IA Signed"?C.green:c.status==="Withdrawn"?C.red:C.blue}>
                                   {c.status}</Tag></td>
                             </tr>
                           ))}
                         </tbody>
                       </table>
                     </div>
+                    )}
                   </Card>
 
                   <p style={{fontFamily:mono, fontSize:10, color:"#1e3a5f",
                     textAlign:"center", letterSpacing:1, paddingBottom:8}}>
-                    Trained on 7 months ERCOT queue data (Jul 2025–Jan 2026) · 92.4% withdrawal accuracy · {new Date().toLocaleDateString()} · Internal use only
+                    Model {result.model.version}
+                    {result.model.accuracy != null
+                      ? ` · ${(result.model.accuracy*100).toFixed(1)}% holdout accuracy (${result.model.holdoutRows} projects)`
+                      : " · not yet validated on holdout data"}
+                    {" "}· {new Date().toLocaleDateString()} · Internal use only
                   </p>
                 </div>
               )}
@@ -593,8 +2147,74 @@ export default function Home() {
 
         {/* ── PORTFOLIO TAB ───────────────────────────────────────────── */}
         {tab === "portfolio" && (
-          <div style={{padding:32, maxWidth:1100, margin:"0 auto"}}>
-            {!portStats ? (
+          <div style={{padding:32, maxWidth:1100, margin:"0 auto",
+            display:"flex", flexDirection:"column", gap:20}}>
+            <Card>
+              <div style={{display:"flex", justifyContent:"space-between", alignItems:"center"}}>
+                <div>
+                  <SectionTitle>Batch Scoring</SectionTitle>
+                  <p style={{fontSize:12, color:C.sub, marginTop:-6}}>
+                    Upload a CSV with columns projectName, capacity, techType, phase, poiCount,
+                    zone, county, daysInQueue, firmCapacity, energyCommunity, behindMeter; optionally
+                    poi, costSharing, capexPerMw, capacityFactor, price, discountRate, codTargetMonths,
+                    storageMw, storageMwh, generationMw, gridCharging. Files up to {BATCH_LIMIT_MB} MB.</p>
+                </div>
+                <label style={{
+                  background: batch?.loading ? C.edge : C.blue, borderRadius:8, color:"#fff",
+                  padding:"10px 18px", fontSize:11, fontWeight:700, letterSpacing:2,
+                  fontFamily:mono, cursor: batch?.loading ? "not-allowed" : "pointer", flexShrink:0,
+                }}>
+                  {batch?.loading ? "SCORING ..." : "UPLOAD CSV"}
+                  <input type="file" accept=".csv,text/csv" disabled={batch?.loading}
+                    style={{display:"none"}}
+                    onChange={e=>{ runBatch(e.target.files[0]); e.target.value=""; }}/>
+                </label>
+              </div>
+              {batch && !batch.loading && (
+                <div style={{marginTop:14}}>
+                  <p style={{fontFamily:mono, fontSize:11, color:C.sub}}>
+                    {batch.file}: {batch.scored} scored
+                    {batch.errors.length > 0 && <span style={{color:C.red}}> · {batch.errors.length} rejected</span>}
+                    {batch.warnings.length > 0 && <span style={{color:C.amber}}> · {batch.warnings.length} with warnings</span>}
+                  </p>
+                  {(batch.errors.length > 0 || batch.warnings.length > 0) && (
+                    <div style={{marginTop:8, maxHeight:160, overflowY:"auto",
+                      background:C.bg, border:`1px solid ${C.edge}`, borderRadius:6, padding:"8px 12px"}}>
+                      {batch.errors.map((e,i)=>(
+                        <p key={`e${i}`} style={{fontFamily:mono, fontSize:11, color:C.sub, lineHeight:1.7}}>
+                          <span style={{color:C.red}}>Line {e.line}</span> — {e.message}</p>
+                      ))}
+                      {batch.warnings.map((w,i)=>(
+                        <p key={`w${i}`} style={{fontFamily:mono, fontSize:11, color:C.sub, lineHeight:1.7}}>
+                          <span style={{color:C.amber}}>Line {w.line}</span> — {w.message}</p>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+            </Card>
+            <Card style={{display:"flex", gap:10, alignItems:"center"}}>
+              <span style={{...labelStyle, flexShrink:0}}>New Project</span>
+              <input style={{...inp, flex:1}} placeholder="Project name"
+                value={newName} onChange={e=>setNewName(e.target.value)}
+                onKeyDown={e=>e.key==="Enter"&&createNamedProject()}/>
+              <button onClick={createNamedProject} disabled={!newName.trim()}
+                style={{...btn, padding:"10px 16px", fontSize:11}}>CREATE</button>
+            </Card>
+            <Card style={{display:"flex", gap:8, alignItems:"center"}}>
+              <span style={{...labelStyle, flex:1}}>Portfolio Data</span>
+              {["csv","xlsx","json"].map(k=>(
+                <button key={k} style={{...btn, padding:"8px 14px", fontSize:11}}
+                  disabled={!projects.length} onClick={()=>exportPortfolio(k)}>
+                  EXPORT {k.toUpperCase()}</button>
+              ))}
+              <label style={{...btn, padding:"8px 14px", fontSize:11, color:C.text, borderColor:C.blue}}>
+                IMPORT JSON
+                <input type="file" accept=".json,application/json" style={{display:"none"}}
+                  onChange={e=>{ importPortfolio(e.target.files[0]); e.target.value=""; }}/>
+              </label>
+            </Card>
+            {!projects.length ? (
               <div style={{textAlign:"center", padding:80, opacity:0.4}}>
                 <p style={{fontFamily:mono, fontSize:12, color:C.muted,
                   letterSpacing:2, textTransform:"uppercase"}}>
@@ -606,50 +2226,246 @@ export default function Home() {
                 animation:"fadeUp 0.4s ease"}}>
                 <h2 style={{fontFamily:mono, fontSize:16, fontWeight:700, letterSpacing:2}}>
                   PORTFOLIO SUMMARY</h2>
-                <div style={{display:"grid", gridTemplateColumns:"repeat(4,1fr)", gap:12}}>
-                  <StatBox label="Avg Certainty Score" value={portStats.avgScore}
-                    sub="Portfolio average"
-                    color={portStats.avgScore>=70?C.green:C.amber}/>
-                  <StatBox label="High Risk Projects" value={portStats.highRisk}
-                    sub={`of ${history.length} total`} color={C.red}/>
-                  <StatBox label="Avg Upgrade Cost" value={`$${portStats.avgCost}M`}
-                    sub="Portfolio average" color={C.amber}/>
-                  <StatBox label="Total Portfolio MW" value={`${portStats.totalMW} MW`}
-                    sub="Across all projects" color={C.blue}/>
-                </div>
+                {portStats && (
+                  <div style={{display:"grid", gridTemplateColumns:"repeat(4,1fr)", gap:12}}>
+                    <StatBox label="Avg Certainty Score" value={portStats.avgScore}
+                      sub={filteredView ? "Filtered average" : "Portfolio average"}
+                      color={portStats.avgScore>=70?C.green:C.amber}/>
+                    <StatBox label="High Risk Projects" value={portStats.highRisk}
+                      sub={`of ${shown.length} shown`} color={C.red}/>
+                    <StatBox label="Avg Upgrade Cost" value={`$${portStats.avgCost}M`}
+                      sub={filteredView ? "Filtered average" : "Portfolio average"} color={C.amber}/>
+                    <StatBox label="Total Portfolio MW" value={`${portStats.totalMW} MW`}
+                      sub={filteredView ? "Across filtered projects" : "Across all projects"} color={C.blue}/>
+                  </div>
+                )}
+                <PortfolioAnalytics rows={history}/>
+                <QueueHistory projects={projects} onUpdate={applyReportUpdates}/>
+                {comparing && <CompareView projects={comparing} onClose={()=>setComparing(null)}/>}
                 <Card>
-                  <SectionTitle>All Evaluated Projects</SectionTitle>
+                  <div style={{display:"flex", justifyContent:"space-between", alignItems:"center"}}>
+                    <SectionTitle>All Evaluated Projects</SectionTitle>
+                    <div style={{display:"flex", gap:6, alignItems:"center", marginBottom:14}}>
+                      <span style={{fontFamily:mono, fontSize:10, color:C.muted}}>Select 2–4 to compare</span>
+                      <button style={btn} disabled={compareIds.length < 2}
+                        onClick={()=>setComparing(projects.filter(p=>compareIds.includes(p.id)))}>
+                        COMPARE ({compareIds.length})</button>
+                    </div>
+                  </div>
+                  <div style={{display:"grid", gridTemplateColumns:"2fr 1fr 1fr 1fr auto", gap:8,
+                    alignItems:"center", marginBottom:12}}>
+                    <input style={{...inp, padding:"6px 10px", fontSize:12}} placeholder="Search name or INR"
+                      value={view.search} onChange={e=>setFilter("search", e.target.value)}/>
+                    <select style={{...inp, padding:"6px 10px", fontSize:12}} value={view.zone}
+                      onChange={e=>setFilter("zone", e.target.value)}>
+                      <option value="">All zones</option>
+                      {ZONES.map(z=><option key={z}>{z}</option>)}
+                    </select>
+                    <select style={{...inp, padding:"6px 10px", fontSize:12}} value={view.techType}
+                      onChange={e=>setFilter("techType", e.target.value)}>
+                      <option value="">All tech</option>
+                      {TECHS.map(t=><option key={t}>{t}</option>)}
+                    </select>
+                    <select style={{...inp, padding:"6px 10px", fontSize:12}} value={view.band}
+                      onChange={e=>setFilter("band", e.target.value)}>
+                      <option value="">All risk</option>
+                      {RISK_BANDS.map(b=><option key={b.key} value={b.key}>{b.label}</option>)}
+                    </select>
+                    <button style={btn} onClick={()=>setView(s=>({...s, search:"", zone:"", county:"", techType:"", band:"", page:0}))}>
+                      CLEAR</button>
+                  </div>
+                  {view.county && (
+                    <div style={{marginBottom:12}}>
+                      <button style={{...btn, color:C.blue, borderColor:C.blue}} onClick={()=>setFilter("county", "")}>
+                        COUNTY: {view.county.toUpperCase()} ✕</button>
+                    </div>
+                  )}
                   <table style={{width:"100%", borderCollapse:"collapse",
                     fontFamily:mono, fontSize:12}}>
                     <thead>
                       <tr style={{borderBottom:`1px solid ${C.edge}`}}>
-                        {["Project","MW","Tech","Zone","WD Risk","Timeline","Cost","Score"].map(h=>(
-                          <th key={h} style={{...labelStyle, padding:"8px 12px",
-                            textAlign:"left", fontSize:9}}>{h}</th>
+                        {[["",null],["Project","projectName"],["MW","capacity"],["Tech","techType"],["Zone","zone"],
+                          ["WD Risk","wd"],["Timeline","timeline"],["Cost","cost"],["Score","score"],["Runs","runCount"],["",null]]
+                          .map(([label, field], i)=>(
+                            <SortHeader key={i} label={label} field={field} sort={view.sort}
+                              onSort={sort=>setView(s=>({...s, sort}))}/>
+                          ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {!pageRows.length && (
+                        <tr><td colSpan={11} style={{padding:"16px 12px", color:C.muted, textAlign:"center"}}>
+                          No projects match these filters</td></tr>
+                      )}
+                      {pageRows.map(row=>{
+                        const p = projects.find(x=>x.id===row.id);
+                        const h = typeof row.wd === "number" ? row : null;
+                        return [
+                          <tr key={p.id} style={{borderBottom:`1px solid ${C.edge}20`}}>
+                            <td style={{padding:"10px 0 10px 12px"}}>
+                              <input type="checkbox" checked={compareIds.includes(p.id)}
+                                disabled={!compareIds.includes(p.id) && compareIds.length >= 4}
+                                onChange={()=>toggleCompare(p.id)}/>
+                            </td>
+                            <td style={{padding:"10px 12px"}}>
+                              {editing?.id===p.id ? (
+                                <input style={{...inp, padding:"4px 8px", fontSize:12}} autoFocus
+                                  value={editing.name} onChange={e=>setEditing({...editing, name:e.target.value})}
+                                  onBlur={commitRename}
+                                  onKeyDown={e=>{ if (e.key==="Enter") commitRename(); if (e.key==="Escape") setEditing(null); }}/>
+                              ) : p.name}
+                            </td>
+                            <td style={{padding:"10px 12px", color:C.sub}}>{p.inputs.capacity}</td>
+                            <td style={{padding:"10px 12px", color:C.sub}}>{p.inputs.techType}</td>
+                            <td style={{padding:"10px 12px", color:C.sub}}>{p.inputs.zone}</td>
+                            {h ? <>
+                              <td style={{padding:"10px 12px",
+                                color:h.wd>0.5?C.red:h.wd>0.3?C.amber:C.green}}>
+                                {(h.wd*100).toFixed(1)}%</td>
+                              <td style={{padding:"10px 12px", color:C.sub}}>{h.timeline} mo</td>
+                              <td style={{padding:"10px 12px", color:C.sub}}>${h.cost}M</td>
+                              <td style={{padding:"10px 12px", fontWeight:700,
+                                color:h.score>=70?C.green:h.score>=50?C.amber:C.red}}>
+                                {h.score}</td>
+                            </> : <td colSpan={4} style={{padding:"10px 12px", color:C.muted}}>Not yet scored</td>}
+                            <td style={{padding:"10px 12px", color:C.sub}}>
+                              <button style={btn} disabled={!p.runs.length}
+                                onClick={()=>setExpanded(expanded===p.id?null:p.id)}>
+                                {p.runs.length} {expanded===p.id?"▴":"▾"}</button>
+                            </td>
+                            <td style={{padding:"10px 12px", whiteSpace:"nowrap"}}>
+                              <div style={{display:"flex", gap:4}}>
+                                <button style={btn} onClick={()=>openProject(p)}>OPEN</button>
+                                <button style={btn} disabled={rerunning===p.id}
+                                  onClick={()=>rerunProject(p)}>{rerunning===p.id?"…":"RE-RUN"}</button>
+                                <button style={btn} onClick={()=>setEditing({id:p.id, name:p.name})}>RENAME</button>
+                                <button style={{...btn, color:C.red}} onClick={()=>deleteProject(p)}>DELETE</button>
+                              </div>
+                            </td>
+                          </tr>,
+                          expanded===p.id && (
+                            <tr key={`${p.id}-runs`} style={{background:C.bg}}>
+                              <td colSpan={11} style={{padding:"8px 12px 12px 28px"}}>
+                                {[...p.runs].reverse().map(r=>(
+                                  <p key={r.ts} style={{fontFamily:mono, fontSize:11, color:C.sub, lineHeight:1.8}}>
+                                    {new Date(r.ts).toLocaleString()} · {r.inputs.capacity}MW · {PHASES[r.inputs.phase]?.short}
+                                    {" "}· WD {(r.wd*100).toFixed(1)}% · {r.timeline} mo · ${r.cost}M · score {r.score}
+                                  </p>
+                                ))}
+                              </td>
+                            </tr>
+                          ),
+                        ];
+                      })}
+                    </tbody>
+                  </table>
+                  <div style={{display:"flex", justifyContent:"space-between", alignItems:"center", marginTop:12}}>
+                    <span style={{fontFamily:mono, fontSize:10, color:C.muted}}>
+                      {filtered.length ? `${page*PAGE_SIZE+1}–${page*PAGE_SIZE+pageRows.length}` : 0} of {filtered.length}
+                      {filtered.length < projects.length ? ` (filtered from ${projects.length})` : ""}
+                    </span>
+                    <div style={{display:"flex", gap:4, alignItems:"center"}}>
+                      <button style={btn} disabled={page===0}
+                        onClick={()=>setView(s=>({...s, page:page-1}))}>‹ PREV</button>
+                      <span style={{fontFamily:mono, fontSize:10, color:C.sub, padding:"0 8px"}}>
+                        {page+1} / {pageCount}</span>
+                      <button style={btn} disabled={page>=pageCount-1}
+                        onClick={()=>setView(s=>({...s, page:page+1}))}>NEXT ›</button>
+                    </div>
+                  </div>
+                </Card>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* ── MAP TAB ─────────────────────────────────────────────────── */}
+        {tab === "map" && (
+          <div style={{padding:32, display:"flex", flexDirection:"column", gap:16,
+            animation:"fadeUp 0.4s ease"}}>
+            <div style={{display:"flex", justifyContent:"space-between", alignItems:"center"}}>
+              <h2 style={{fontFamily:mono, fontSize:16, fontWeight:700, letterSpacing:2}}>
+                QUEUE RISK MAP</h2>
+              <div style={{display:"flex", gap:6}}>
+                {[["wd","WD RISK"],["mw","QUEUED MW"],["zone","CDR ZONES"]].map(([k,label])=>(
+                  <button key={k} onClick={()=>setMapMetric(k)}
+                    style={{...btn, ...(mapMetric===k ? {color:C.blue, borderColor:C.blue} : {})}}>{label}</button>
+                ))}
+              </div>
+            </div>
+            <div style={{display:"grid", gridTemplateColumns:"auto 1fr", gap:16, alignItems:"start"}}>
+              <Card>
+                {geo
+                  ? <CountyMap geo={geo} width={640} metric={mapMetric} values={countyStats}
+                      selected={view.county} onSelect={filterByCounty}/>
+                  : <p style={{fontFamily:mono, fontSize:11, color:C.muted}}>Loading map ...</p>}
+              </Card>
+              <Card>
+                <SectionTitle>Portfolio by County</SectionTitle>
+                <div style={{display:"flex", gap:12, flexWrap:"wrap", marginBottom:14}}>
+                  {(mapMetric === "zone"
+                    ? Object.entries(ZONE_COLORS)
+                    : mapMetric === "mw"
+                      ? [["Few MW", `${C.blue}40`], ["Most MW", C.blue]]
+                      : [["≤30%", C.green], ["30–50%", C.amber], [">50%", C.red]]
+                  ).concat([["No projects", C.panel], ["Outside ERCOT", C.bg]]).map(([label, color])=>(
+                    <span key={label} style={{display:"flex", alignItems:"center", gap:5,
+                      fontFamily:mono, fontSize:10, color:C.sub}}>
+                      <span style={{width:10, height:10, borderRadius:2, background:color,
+                        border:`1px solid ${C.edge}`}}/>{label}</span>
+                  ))}
+                </div>
+                {Object.keys(countyStats).length ? (
+                  <table style={{width:"100%", borderCollapse:"collapse", fontFamily:mono, fontSize:11}}>
+                    <thead>
+                      <tr style={{borderBottom:`1px solid ${C.edge}`}}>
+                        {["County","Zone","Projects","MW","Avg WD"].map(h=>(
+                          <th key={h} style={{...labelStyle, padding:"6px 8px", textAlign:"left", fontSize:9}}>{h}</th>
                         ))}
                       </tr>
                     </thead>
                     <tbody>
-                      {history.map((h,i)=>(
-                        <tr key={i} style={{borderBottom:`1px solid ${C.edge}20`}}>
-                          <td style={{padding:"10px 12px"}}>{h.projectName||"Unnamed"}</td>
-                          <td style={{padding:"10px 12px", color:C.sub}}>{h.capacity}</td>
-                          <td style={{padding:"10px 12px", color:C.sub}}>{h.techType}</td>
-                          <td style={{padding:"10px 12px", color:C.sub}}>{h.zone}</td>
-                          <td style={{padding:"10px 12px",
-                            color:h.wd>0.5?C.red:h.wd>0.3?C.amber:C.green}}>
-                            {(h.wd*100).toFixed(1)}%</td>
-                          <td style={{padding:"10px 12px", color:C.sub}}>{h.timeline} mo</td>
-                          <td style={{padding:"10px 12px", color:C.sub}}>${h.cost}M</td>
-                          <td style={{padding:"10px 12px", fontWeight:700,
-                            color:h.score>=70?C.green:h.score>=50?C.amber:C.red}}>
-                            {h.score}</td>
+                      {Object.values(countyStats).sort((a,b)=>b.mw-a.mw).map(c=>(
+                        <tr key={c.name} onClick={()=>filterByCounty(c.name)}
+                          style={{borderBottom:`1px solid ${C.edge}20`, cursor:"pointer"}}>
+                          <td style={{padding:"6px 8px", color:C.text}}>{c.name}</td>
+                          <td style={{padding:"6px 8px", color:C.sub}}>{countyZone(c.name) || "—"}</td>
+                          <td style={{padding:"6px 8px", color:C.sub}}>{c.projects}</td>
+                          <td style={{padding:"6px 8px", color:C.sub}}>{c.mw}</td>
+                          <td style={{padding:"6px 8px", color:c.avgWd>0.5?C.red:c.avgWd>0.3?C.amber:C.green}}>
+                            {(c.avgWd*100).toFixed(1)}%</td>
                         </tr>
                       ))}
                     </tbody>
                   </table>
-                </Card>
-              </div>
+                ) : (
+                  <p style={{fontSize:12, color:C.muted, lineHeight:1.6}}>
+                    No scored projects yet. Run predictions to shade counties by risk or queued MW.</p>
+                )}
+                <p style={{fontSize:11, color:C.muted, lineHeight:1.6, marginTop:12}}>
+                  Click a county to filter the portfolio table. Projects entered with county "Other" are not mapped.</p>
+              </Card>
+            </div>
+          </div>
+        )}
+
+        {/* ── MODEL TAB ───────────────────────────────────────────────── */}
+        {tab === "model" && (
+          <div style={{padding:32, display:"flex", flexDirection:"column", gap:16,
+            animation:"fadeUp 0.4s ease"}}>
+            <h2 style={{fontFamily:mono, fontSize:16, fontWeight:700, letterSpacing:2}}>
+              MODEL BACKTEST</h2>
+            {backtestReport?.error ? (
+              <Card>
+                <p style={{fontSize:13, color:C.sub, lineHeight:1.7}}>
+                  No backtest has been run for this installation. Run <code>npm run backtest</code> to score the
+                  active model on resolved projects in the imported GIS queue, or{" "}
+                  <code>npm run backtest -- labeled.csv</code> on a labeled dataset.</p>
+              </Card>
+            ) : backtestReport ? (
+              <BacktestReport report={backtestReport} model={model}/>
+            ) : (
+              <p style={{fontFamily:mono, fontSize:11, color:C.muted}}>Loading backtest ...</p>
             )}
           </div>
         )}
@@ -662,7 +2478,9 @@ export default function Home() {
             <h2 style={{fontFamily:mono, fontSize:16, fontWeight:700, letterSpacing:2}}>
               ABOUT THIS TOOL</h2>
             {[
-              {title:"Model",        body:`Physics-Informed Neural Network (PINN) trained on 7 months of ERCOT GIS queue data (July 2025 – January 2026). Achieves 92.4% withdrawal prediction accuracy on held-out test data.`},
+              {title:"Model",        body:model?.description
+                ? `Active model ${model.version}. ${model.description}${model.accuracy != null ? ` Holdout accuracy ${(model.accuracy*100).toFixed(1)}% on ${model.holdoutRows} projects.` : ""}`
+                : `Withdrawal model loaded from models/withdrawal-model.json. Retrain with npm run train-model on labeled queue data.`},
               {title:"Inputs",       body:`Project capacity, technology type, study phase, CDR zone, county, POI congestion, days in queue, firm capacity %, IRA energy community eligibility, and behind-the-meter flag.`},
               {title:"Outputs",      body:`Withdrawal probability with 95% CI, expected timeline to IA signing, network upgrade cost estimate, IRR impact, revenue at risk, phase-by-phase risk breakdown, and optimization recommendations.`},
               {title:"Data Sources", body:`ERCOT Generation Interconnection Status Reports (RPT_00015933), publicly available at mis.ercot.com. Withdrawal labels identified by cross-referencing INR numbers across monthly reports.`},
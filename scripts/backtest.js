@@ -0,0 +1,82 @@
+// Backtests the active model on historical projects with known outcomes.
+//
+//   npm run backtest -- [labeled.csv] [--threshold 0.5]
+//
+// The CSV uses the train-model format (batch-scoring columns plus `withdrawn`).
+// Without a file, the resolved projects in data/queue.json are used: withdrawn
+// ones count as 1, IA-signed ones as 0. Their features come from the last
+// stored snapshot in which they were still Active, since the current record
+// already gives the outcome away (final phase, days counted to today).
+// Writes models/backtest.json.
+
+import fs from "fs";
+import path from "path";
+import { readFeatureRows } from "../utils/batch.js";
+import { parseLabel } from "../utils/train.js";
+import { validateFeatures } from "../utils/validate.js";
+import { coreMetrics } from "../utils/predict.js";
+import { loadModel, saveBacktest } from "../utils/modelStore.js";
+import { loadQueue, listSnapshots, loadSnapshot } from "../utils/queueStore.js";
+import { modelInfo } from "../utils/model.js";
+import { backtest } from "../utils/backtest.js";
+
+const args = process.argv.slice(2);
+const tIdx = args.indexOf("--threshold");
+const threshold = tIdx >= 0 ? +args[tIdx + 1] : 0.5;
+const file = args.find((a, i) => !a.startsWith("--") && (tIdx < 0 || i !== tIdx + 1));
+
+if (!(threshold > 0 && threshold < 1)) {
+  console.error(`Invalid --threshold: ${args[tIdx + 1]}`);
+  process.exit(1);
+}
+
+let labeled = [], rejected = 0, source;
+if (file) {
+  const { rows, errors } = readFeatureRows(fs.readFileSync(file, "utf8"), ["withdrawn"]);
+  rejected = errors.length;
+  for (const r of rows) {
+    const label = parseLabel(r.withdrawn);
+    if (label === null) rejected++;
+    else labeled.push({ features:r.features, label });
+  }
+  source = path.basename(file);
+} else {
+  const queue    = loadQueue();
+  const resolved = queue.projects.filter(p => p.outcome !== "Active");
+  const wanted   = new Set(resolved.map(p => p.inr));
+  const lastActive = new Map();
+  for (const date of listSnapshots()) {
+    for (const p of loadSnapshot(date).projects) {
+      if (wanted.has(p.inr) && p.outcome === "Active") lastActive.set(p.inr, p);
+    }
+  }
+  for (const p of resolved) {
+    const before = lastActive.get(p.inr);
+    if (!before) { rejected++; continue; }
+    const { features } = validateFeatures({ ...before, energyCommunity:false, behindMeter:false });
+    if (!features) rejected++;
+    else labeled.push({ features, label:p.outcome === "Withdrawn" ? 1 : 0 });
+  }
+  source = queue.reportDate ? `data/snapshots, resolved by ${queue.reportDate}` : null;
+}
+
+if (!labeled.length) {
+  console.error(file
+    ? `No usable labeled rows in ${file}`
+    : "No resolved project in data/queue.json has an earlier snapshot showing it Active. "
+      + "Import more GIS report months, or pass a labeled CSV.");
+  process.exit(1);
+}
+
+const model  = loadModel();
+const report = {
+  ranAt:  new Date().toISOString(),
+  model:  modelInfo(model),
+  source, rejected,
+  ...backtest(labeled, f => coreMetrics(f, model).wd, threshold),
+};
+saveBacktest(report);
+
+const { rows, accuracy, auc, brier } = report.overall;
+console.log(`Backtested ${model.version} on ${rows} projects: accuracy ${(accuracy * 100).toFixed(1)}%, `
+  + `AUC ${auc ?? "n/a"}, Brier ${brier}` + (rejected ? ` (${rejected} rows rejected)` : ""));
@@ -0,0 +1,82 @@
+// Builds public/geo/texas-counties.geojson and utils/countyCentroids.js from
+// the us-atlas county boundaries.
+//
+//   npm run build-county-map
+//
+// The GeoJSON holds one feature per Texas county (name, FIPS and CDR zone), the
+// CDR zone boundaries and the state outline. Re-run after editing utils/counties.js.
+
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { feature, mesh } from "topojson-client";
+import { countyZone } from "../utils/counties.js";
+
+const require = createRequire(import.meta.url);
+const topology = require("us-atlas/counties-10m.json");
+
+const OUT       = path.join(process.cwd(), "public", "geo", "texas-counties.geojson");
+const CENTROIDS = path.join(process.cwd(), "utils", "countyCentroids.js");
+
+// ~100 m precision keeps the file small without visible loss at map scale.
+const round = coords => typeof coords[0] === "number"
+  ? coords.map(v => +v.toFixed(3))
+  : coords.map(round);
+
+const counties = {
+  type:       "GeometryCollection",
+  geometries: topology.objects.counties.geometries.filter(g => g.id.startsWith("48")),
+};
+const zoneOf = g => countyZone(g.properties.name);
+
+// Area-weighted centroid of a county's largest polygon (shoelace formula).
+function centroid(geometry) {
+  const polys = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  let best = null;
+  for (const [ring] of polys) {
+    let a = 0, cx = 0, cy = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+      a += cross; cx += (ring[j][0] + ring[i][0]) * cross; cy += (ring[j][1] + ring[i][1]) * cross;
+    }
+    if (!best || Math.abs(a) > Math.abs(best.a)) best = { a, x:cx / (3 * a), y:cy / (3 * a) };
+  }
+  return [+best.x.toFixed(3), +best.y.toFixed(3)];
+}
+
+const features = [
+  ...counties.geometries.map(g => {
+    const f = feature(topology, g);
+    return {
+      type:       "Feature",
+      properties: { kind:"county", fips:g.id, name:g.properties.name, zone:zoneOf(g) },
+      geometry:   { type:f.geometry.type, coordinates:round(f.geometry.coordinates) },
+    };
+  }),
+  ...[
+    ["zone-boundary", (a, b) => a !== b && zoneOf(a) !== zoneOf(b)],
+    ["state-outline", (a, b) => a === b],
+  ].map(([kind, filter]) => {
+    const m = mesh(topology, counties, filter);
+    return { type:"Feature", properties:{ kind }, geometry:{ type:m.type, coordinates:round(m.coordinates) } };
+  }),
+];
+
+fs.mkdirSync(path.dirname(OUT), { recursive:true });
+fs.writeFileSync(OUT, JSON.stringify({ type:"FeatureCollection", features }));
+console.log(`Wrote ${features.length} features to ${path.relative(process.cwd(), OUT)}`);
+
+const entries = counties.geometries
+  .map(g => [g.properties.name, centroid(feature(topology, g).geometry)])
+  .sort(([a], [b]) => a.localeCompare(b))
+  .map(([name, c]) => `  ${JSON.stringify(name)}:[${c.join(",")}],`);
+fs.writeFileSync(CENTROIDS, [
+  "// Generated by scripts/build-county-map.js. Do not edit.",
+  "// County centroids as [longitude, latitude].",
+  "",
+  "export const COUNTY_CENTROIDS = {",
+  ...entries,
+  "};",
+  "",
+].join("\n"));
+console.log(`Wrote ${entries.length} centroids to ${path.relative(process.cwd(), CENTROIDS)}`);
@@ -0,0 +1,53 @@
+// Imports an ERCOT GIS Status Report (RPT_00015933) into data/queue.json.
+//
+//   npm run import-gis -- <report.xlsx|report.csv> [--date YYYY-MM-DD]
+//
+// --date is the report's publication date, used to compute days in queue
+// (defaults to today). Each import is kept as a dated snapshot; data/queue.json
+// only moves forward, so importing an older report back-fills history alone.
+
+import fs from "fs";
+import path from "path";
+import { parseGisReport } from "../utils/gis.js";
+import { loadQueue, saveQueue, saveSnapshot } from "../utils/queueStore.js";
+
+const args = process.argv.slice(2);
+const dateArg = args.indexOf("--date");
+const file = args.find((a, i) => !a.startsWith("--") && (dateArg < 0 || i !== dateArg + 1));
+
+if (!file) {
+  console.error("Usage: npm run import-gis -- <report.xlsx|report.csv> [--date YYYY-MM-DD]");
+  process.exit(1);
+}
+
+const reportDate = dateArg >= 0 ? new Date(args[dateArg + 1]) : new Date();
+if (isNaN(reportDate)) {
+  console.error(`Invalid --date: ${args[dateArg + 1]}`);
+  process.exit(1);
+}
+
+const projects = parseGisReport(file, fs.readFileSync(file), reportDate);
+if (!projects.length) {
+  console.error(`No INR rows found in ${file}. Is this a GIS Status Report?`);
+  process.exit(1);
+}
+
+const db = {
+  source:     path.basename(file),
+  reportDate: reportDate.toISOString().slice(0, 10),
+  importedAt: new Date().toISOString(),
+  projects,
+};
+saveSnapshot(db);
+const current = loadQueue().reportDate;
+if (!current || db.reportDate >= current) saveQueue(db);
+else console.log(`Kept data/queue.json at ${current}; stored ${db.reportDate} as a snapshot only`);
+
+const unzoned = projects.filter(p => !p.zone).length;
+const undated = projects.filter(p => p.daysInQueue == null).length;
+const notes   = [
+  unzoned && `${unzoned} without a recognised CDR zone`,
+  undated && `${undated} without a screening start date`,
+].filter(Boolean);
+console.log(`Imported ${projects.length} projects from ${path.basename(file)}`
+  + (notes.length ? ` (${notes.join("; ")})` : ""));
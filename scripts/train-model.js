@@ -0,0 +1,62 @@
+// Fits the withdrawal model on labeled historical queue rows and activates it.
+//
+//   npm run train-model -- <labeled.csv> [--holdout 0.2] [--seed 42]
+//
+// The CSV uses the batch-scoring columns plus `withdrawn` (1/0, true/false).
+// The fitted model is written to models/withdrawal-model.json and archived
+// under models/archive/<version>.json.
+
+import fs from "fs";
+import path from "path";
+import { readFeatureRows } from "../utils/batch.js";
+import { fitLogistic, evaluate, splitHoldout, parseLabel } from "../utils/train.js";
+import { saveModel } from "../utils/modelStore.js";
+
+const args = process.argv.slice(2);
+const opt  = (name, fallback) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 ? +args[i + 1] : fallback;
+};
+const file = args.find((a, i) => !a.startsWith("--") && !args[i - 1]?.startsWith("--"));
+
+if (!file) {
+  console.error("Usage: npm run train-model -- <labeled.csv> [--holdout 0.2] [--seed 42]");
+  process.exit(1);
+}
+
+const { rows, errors } = readFeatureRows(fs.readFileSync(file, "utf8"), ["withdrawn"]);
+const labeled = [];
+for (const r of rows) {
+  const label = parseLabel(r.withdrawn);
+  if (label === null) errors.push({ line:r.line, message:`withdrawn "${r.withdrawn}" is not a 0/1 label` });
+  else labeled.push({ features:r.features, label });
+}
+
+errors.slice(0, 20).forEach(e => console.warn(`Line ${e.line}: ${e.message}`));
+if (errors.length > 20) console.warn(`... ${errors.length - 20} more rejected rows`);
+if (labeled.length < 20) {
+  console.error(`Need at least 20 labeled rows to train, got ${labeled.length}`);
+  process.exit(1);
+}
+
+const holdout = opt("holdout", 0.2);
+const seed    = opt("seed", 42);
+const { train, test } = splitHoldout(labeled, holdout, seed);
+const fitted  = fitLogistic(train);
+const now     = new Date();
+
+const model = {
+  version:   `lr-${now.toISOString().slice(0, 16).replace(/[-:]/g, "")}`,
+  type:      fitted.type,
+  trainedAt: now.toISOString(),
+  description: `Logistic regression fitted on ${train.length} labeled rows from ${path.basename(file)}.`,
+  training:  { source:path.basename(file), rows:labeled.length, rejected:errors.length, holdout, seed },
+  metrics:   { train:evaluate(fitted, train), holdout:evaluate(fitted, test) },
+  intercept: fitted.intercept,
+  weights:   fitted.weights,
+};
+saveModel(model);
+
+const { accuracy, logLoss, rows:n } = model.metrics.holdout;
+console.log(`Saved model ${model.version}: holdout accuracy ${(accuracy * 100).toFixed(1)}% `
+  + `(log loss ${logLoss}, ${n} rows)`);
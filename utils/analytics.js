@@ -0,0 +1,65 @@
+import { PHASES } from "./constants.js";
+
+// ─── Portfolio analytics ─────────────────────────────────────────────────────
+// Works on portfolioRows() output (inputs + latest outputs per project).
+// Expected MW is the capacity that survives to IA: capacity × (1 − wd).
+
+export const BREAKDOWNS = [
+  { key:"zone",     label:"CDR Zone",    group:r => r.zone },
+  { key:"techType", label:"Technology",  group:r => r.techType },
+  { key:"phase",    label:"Study Phase", group:r => PHASES[r.phase]?.short ?? "?" },
+];
+
+// Share of portfolio MW above which a single zone or congested POI is flagged.
+export const CONCENTRATION_LIMITS = { zone:0.4, poi:0.2 };
+const CONGESTED_POI = 10;
+
+const total = (rows, get) => rows.reduce((a, r) => a + (+get(r) || 0), 0);
+const round = (v, d = 1) => +v.toFixed(d);
+
+export function summarize(rows) {
+  const mw = total(rows, r => r.capacity);
+  return {
+    projects:   rows.length,
+    mw:         round(mw),
+    expectedMw: round(total(rows, r => r.capacity * (1 - r.wd))),
+    cost:       round(total(rows, r => r.cost)),
+    costLow:    round(total(rows, r => r.costLow)),
+    costHigh:   round(total(rows, r => r.costHigh)),
+    avgWd:      mw ? total(rows, r => r.capacity * r.wd) / mw : 0,
+  };
+}
+
+export function breakdown(rows, group) {
+  const groups = new Map();
+  for (const r of rows) {
+    const k = group(r);
+    groups.set(k, [...(groups.get(k) || []), r]);
+  }
+  const mw = total(rows, r => r.capacity);
+  return [...groups].map(([name, rs]) => {
+    const s = summarize(rs);
+    return { name, ...s, share: mw ? s.mw / mw : 0 };
+  });
+}
+
+// Projects without a named POI (entered by hand) can't be grouped by POI.
+export function concentrationWarnings(rows, limits = CONCENTRATION_LIMITS) {
+  if (rows.length < 2) return [];
+  const warnings = [];
+  for (const z of breakdown(rows, r => r.zone)) {
+    if (z.share > limits.zone) {
+      warnings.push({ kind:"zone", name:z.name, share:z.share, mw:z.mw,
+        message:`${(z.share*100).toFixed(0)}% of portfolio MW sits in the ${z.name} zone` });
+    }
+  }
+  const congested = rows.filter(r => r.poi && r.poiCount > CONGESTED_POI);
+  for (const p of breakdown(congested, r => r.poi)) {
+    const share = p.mw / total(rows, r => r.capacity);
+    if (share > limits.poi) {
+      warnings.push({ kind:"poi", name:p.name, share, mw:p.mw,
+        message:`${(share*100).toFixed(0)}% of portfolio MW connects at congested POI ${p.name}` });
+    }
+  }
+  return warnings;
+}
@@ -0,0 +1,71 @@
+import { PHASES } from "./constants.js";
+
+// ─── Backtesting ─────────────────────────────────────────────────────────────
+// Scores historical projects with known outcomes (label 1 = withdrawn) using
+// the live predictor, so the numbers describe what the app actually shows.
+
+// Rank-based AUC (Mann–Whitney U) with ties counted as half.
+export function auc(points) {
+  const pos = points.filter(p => p.label).length, neg = points.length - pos;
+  if (!pos || !neg) return null;
+  const sorted = [...points].sort((a, b) => a.p - b.p);
+  let rankSum = 0;
+  for (let i = 0; i < sorted.length;) {
+    let j = i;
+    while (j < sorted.length && sorted[j].p === sorted[i].p) j++;
+    const rank = (i + j + 1) / 2;
+    for (let k = i; k < j; k++) if (sorted[k].label) rankSum += rank;
+    i = j;
+  }
+  return (rankSum - pos * (pos + 1) / 2) / (pos * neg);
+}
+
+// Reliability curve: mean predicted vs observed withdrawal rate per bin.
+export function calibration(points, bins = 10) {
+  return Array.from({ length:bins }, (_, b) => {
+    const inBin = points.filter(p => Math.min(bins - 1, Math.floor(p.p * bins)) === b);
+    const mean = get => inBin.reduce((a, p) => a + get(p), 0) / inBin.length;
+    return {
+      bin:       `${b * 100 / bins}–${(b + 1) * 100 / bins}%`,
+      rows:      inBin.length,
+      predicted: inBin.length ? +mean(p => p.p).toFixed(4) : null,
+      observed:  inBin.length ? +mean(p => p.label).toFixed(4) : null,
+    };
+  });
+}
+
+const round4 = v => v === null ? null : +v.toFixed(4);
+
+export function scorePoints(points, threshold = 0.5) {
+  const n = points.length;
+  if (!n) return { rows:0, accuracy:null, auc:null, brier:null, positiveRate:null, meanPredicted:null };
+  return {
+    rows:          n,
+    accuracy:      round4(points.filter(p => (p.p >= threshold ? 1 : 0) === p.label).length / n),
+    auc:           round4(auc(points)),
+    brier:         round4(points.reduce((a, p) => a + (p.p - p.label) ** 2, 0) / n),
+    positiveRate:  round4(points.filter(p => p.label).length / n),
+    meanPredicted: round4(points.reduce((a, p) => a + p.p, 0) / n),
+  };
+}
+
+export const BACKTEST_BREAKDOWNS = {
+  zone:     f => f.zone,
+  techType: f => f.techType,
+  phase:    f => PHASES[f.phase]?.short ?? "?",
+};
+
+// `rows` are { features, label }; `predict` maps features to a probability.
+export function backtest(rows, predict, threshold = 0.5) {
+  const points = rows.map(r => ({ features:r.features, label:r.label, p:predict(r.features) }));
+  const breakdowns = Object.fromEntries(Object.entries(BACKTEST_BREAKDOWNS).map(([key, group]) => {
+    const groups = new Map();
+    for (const pt of points) {
+      const k = group(pt.features);
+      groups.set(k, [...(groups.get(k) || []), pt]);
+    }
+    return [key, [...groups].map(([name, pts]) => ({ name, ...scorePoints(pts, threshold) }))
+      .sort((a, b) => b.rows - a.rows)];
+  }));
+  return { threshold, overall:scorePoints(points, threshold), calibration:calibration(points), breakdowns };
+}
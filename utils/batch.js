@@ -0,0 +1,78 @@
+import { parseCsv } from "./csv.js";
+import { PHASES } from "./constants.js";
+import { simulatePrediction } from "./predict.js";
+import { loadModel } from "./modelStore.js";
+import { validateFeatures } from "./validate.js";
+
+// ─── Batch CSV scoring ───────────────────────────────────────────────────────
+// Header row uses the predictor's field names; phase may be given as 0–4 or as
+// its short/long label ("FIS", "FIS In Progress").
+
+const NUMERIC = [
+  "capacity", "poiCount", "daysInQueue", "firmCapacity",
+  "capexPerMw", "capacityFactor", "price", "discountRate", "codTargetMonths",
+  "storageMw", "storageMwh", "generationMw",
+];
+const BOOLEAN = ["energyCommunity", "behindMeter", "costSharing", "gridCharging"];
+const REQUIRED_COLUMNS = ["capacity", "techType", "phase", "poiCount", "zone", "daysInQueue"];
+
+function coerce(field, raw) {
+  const v = raw.trim();
+  if (v === "") return undefined;
+  if (NUMERIC.includes(field)) return isNaN(+v) ? v : +v;
+  if (BOOLEAN.includes(field)) {
+    if (/^(true|yes|y|1)$/i.test(v))  return true;
+    if (/^(false|no|n|0)$/i.test(v))  return false;
+    return v;
+  }
+  if (field === "phase") {
+    const p = PHASES.find(p => String(p.value) === v
+      || p.short.toLowerCase() === v.toLowerCase() || p.label.toLowerCase() === v.toLowerCase());
+    return p ? p.value : v;
+  }
+  if (field === "zone") return v.toUpperCase();
+  return v;
+}
+
+// Parses and validates every row. `extra` names additional columns (such as a
+// training label) that are passed through untouched on each row. Rows that
+// only trip a cross-field check are kept, with the check listed in `warnings`.
+export function readFeatureRows(text, extra = []) {
+  const rows = parseCsv(String(text || "").replace(/^\uFEFF/, ""));
+  if (!rows.length) return { rows:[], errors:[{ line:1, message:"File is empty" }], warnings:[] };
+
+  const [header, ...body] = rows;
+  const fields  = header.map(h => h.trim());
+  const missing = [...REQUIRED_COLUMNS, ...extra].filter(c => !fields.includes(c));
+  if (missing.length) {
+    return { rows:[], errors:[{ line:header.line, message:`Missing column(s): ${missing.join(", ")}` }], warnings:[] };
+  }
+
+  const valid = [], errors = [], warnings = [];
+  for (const row of body) {
+    const input = {}, passthrough = {};
+    fields.forEach((f, i) => {
+      if (extra.includes(f)) passthrough[f] = (row[i] ?? "").trim();
+      else if (f) input[f] = coerce(f, row[i] ?? "");
+    });
+    const { features, errors: fieldErrors, warnings: fieldWarnings } = validateFeatures(input);
+    if (fieldErrors.length) {
+      errors.push({ line:row.line, message:fieldErrors.map(e => `${e.field} ${e.message}`).join("; ") });
+      continue;
+    }
+    if (fieldWarnings.length) warnings.push({ line:row.line, message:fieldWarnings.map(w => w.message).join("; ") });
+    valid.push({ line:row.line, features, ...passthrough });
+  }
+  return { rows:valid, errors, warnings };
+}
+
+export function scoreCsv(text) {
+  const { rows, errors, warnings } = readFeatureRows(text);
+  const model = loadModel();
+  return {
+    results: rows.map(({ line, features }) =>
+      ({ line, ...features, ...simulatePrediction(features, model, { details:false }) })),
+    errors,
+    warnings,
+  };
+}
@@ -0,0 +1,54 @@
+import { storageConfig, STORAGE_TECHS } from "./storage.js";
+
+// ─── Comparable projects (nearest neighbours over the local queue) ───────────
+// Similarity is a weighted match on location, technology, size and progress;
+// weights sum to 1 so the score reads as a percentage.
+
+const WEIGHTS = { zone:0.25, county:0.15, tech:0.25, capacity:0.20, phase:0.15 };
+const CAPACITY_BANDS = [50, 100, 200, 400];
+
+// Storage-bearing technologies are partial matches for one another.
+const RELATED_TECH = {
+  Hybrid:  ["Solar", "Battery", "Wind"],
+  Solar:   ["Hybrid"],
+  Battery: ["Hybrid"],
+  Wind:    ["Hybrid"],
+};
+
+export const capacityBand = mw => CAPACITY_BANDS.filter(b => mw >= b).length;
+
+// A project's storage configuration decides what it compares as: solar with a
+// battery matches Hybrid queue entries rather than plain Solar.
+export function similarity(f, p) {
+  const tech = storageConfig(f).tech;
+  const techScore = p.techType === tech ? 1
+    : (RELATED_TECH[tech] || []).includes(p.techType) ? 0.5 : 0;
+  const bandGap = Math.abs(capacityBand(f.capacity) - capacityBand(p.capacity));
+
+  return WEIGHTS.zone     * (p.zone === f.zone ? 1 : 0)
+       + WEIGHTS.county   * (p.county === f.county ? 1 : 0)
+       + WEIGHTS.tech     * techScore
+       + WEIGHTS.capacity * (bandGap === 0 ? 1 : bandGap === 1 ? 0.5 : 0)
+       + WEIGHTS.phase    * (1 - Math.abs(p.phase - f.phase) / 4);
+}
+
+export function findComparables(f, projects, k = 25) {
+  return projects
+    .filter(p => p.inr !== f.inr)
+    .map(p => ({ p, s:similarity(f, p) }))
+    .sort((a, b) => b.s - a.s || Math.abs(a.p.capacity - f.capacity) - Math.abs(b.p.capacity - f.capacity))
+    .slice(0, k)
+    .map(({ p, s }) => ({
+      inr:        p.inr,
+      name:       p.projectName || p.inr,
+      mw:         p.capacity,
+      techType:   p.techType,
+      zone:       p.zone,
+      county:     p.county,
+      phase:      p.phase,
+      daysInQueue:p.daysInQueue,
+      status:     p.outcome || (p.phase === 4 ? "IA Signed" : "Active"),
+      storage:    STORAGE_TECHS.includes(p.techType),
+      similarity: +(s * 100).toFixed(1),
+    }));
+}
@@ -0,0 +1,12 @@
+import { ERCOT_COUNTIES } from "./counties.js";
+
+export const ZONES   = ["WEST","PANHANDLE","NORTH","SOUTH","HOUSTON","EAST","COAST"];
+export const TECHS   = ["Solar","Wind","Battery","Hybrid","Gas","Other"];
+export const PHASES  = [
+  { label:"Screening Started",  short:"SCR",  value:0 },
+  { label:"Screening Complete", short:"SS",   value:1 },
+  { label:"FIS In Progress",    short:"FIS",  value:2 },
+  { label:"FIS Complete",       short:"FISC", value:3 },
+  { label:"IA Signed",          short:"IA",   value:4 },
+];
+export const COUNTIES = [...ERCOT_COUNTIES, "Other"];
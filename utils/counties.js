@@ -0,0 +1,125 @@
+import { COUNTY_CENTROIDS } from "./countyCentroids.js";
+
+// ─── Texas county reference ──────────────────────────────────────────────────
+// CDR zone for every county with generation that connects to ERCOT. Counties
+// served only by SPP, MISO or El Paso Electric are listed under null; counties
+// split between grids are assigned to ERCOT.
+
+const ZONE_COUNTIES = {
+  WEST: [
+    "Andrews","Borden","Brewster","Callahan","Coke","Coleman","Concho","Crane","Crockett",
+    "Culberson","Dawson","Ector","Edwards","Fisher","Gaines","Garza","Glasscock","Howard",
+    "Irion","Jeff Davis","Jones","Kent","Kimble","Loving","Lynn","Martin","McCulloch","Menard",
+    "Midland","Mitchell","Nolan","Pecos","Presidio","Reagan","Reeves","Runnels","Schleicher",
+    "Scurry","Sterling","Stonewall","Sutton","Taylor","Terrell","Tom Green","Upton","Val Verde",
+    "Ward","Winkler",
+  ],
+  PANHANDLE: [
+    "Armstrong","Briscoe","Carson","Castro","Childress","Cottle","Crosby","Dickens","Donley",
+    "Floyd","Gray","Hale","Hall","Hockley","King","Lamb","Lubbock","Motley","Oldham","Randall",
+    "Swisher",
+  ],
+  NORTH: [
+    "Archer","Baylor","Bell","Bosque","Brown","Clay","Collin","Comanche","Cooke","Coryell",
+    "Dallas","Denton","Eastland","Ellis","Erath","Falls","Fannin","Foard","Grayson","Hamilton",
+    "Hardeman","Haskell","Hill","Hood","Hunt","Jack","Johnson","Kaufman","Knox","Lampasas",
+    "Limestone","McLennan","Mills","Montague","Navarro","Palo Pinto","Parker","Rockwall",
+    "San Saba","Shackelford","Somervell","Stephens","Tarrant","Throckmorton","Wichita",
+    "Wilbarger","Wise","Young",
+  ],
+  SOUTH: [
+    "Atascosa","Bandera","Bastrop","Bee","Bexar","Blanco","Brooks","Burnet","Caldwell","Comal",
+    "DeWitt","Dimmit","Duval","Fayette","Frio","Gillespie","Gonzales","Guadalupe","Hays",
+    "Hidalgo","Jim Hogg","Jim Wells","Karnes","Kendall","Kerr","Kinney","La Salle","Lavaca",
+    "Lee","Live Oak","Llano","Mason","Maverick","McMullen","Medina","Milam","Real","Starr",
+    "Travis","Uvalde","Webb","Williamson","Wilson","Zapata","Zavala",
+  ],
+  HOUSTON: [
+    "Chambers","Fort Bend","Galveston","Harris","Liberty","Montgomery","Waller",
+  ],
+  EAST: [
+    "Anderson","Angelina","Austin","Brazos","Burleson","Camp","Cherokee","Delta","Franklin",
+    "Freestone","Gregg","Grimes","Henderson","Hopkins","Houston","Lamar","Leon","Madison",
+    "Morris","Nacogdoches","Polk","Rains","Red River","Robertson","Rusk","San Jacinto","Smith",
+    "Titus","Trinity","Upshur","Van Zandt","Walker","Washington","Wood",
+  ],
+  COAST: [
+    "Aransas","Brazoria","Calhoun","Cameron","Colorado","Goliad","Jackson","Kenedy","Kleberg",
+    "Matagorda","Nueces","Refugio","San Patricio","Victoria","Wharton","Willacy",
+  ],
+};
+
+export const NON_ERCOT_COUNTIES = [
+  "Bailey","Bowie","Cass","Cochran","Collingsworth","Dallam","Deaf Smith","El Paso","Hansford",
+  "Hardin","Harrison","Hartley","Hemphill","Hudspeth","Hutchinson","Jasper","Jefferson",
+  "Lipscomb","Marion","Moore","Newton","Ochiltree","Orange","Panola","Parmer","Potter",
+  "Roberts","Sabine","San Augustine","Shelby","Sherman","Terry","Tyler","Wheeler","Yoakum",
+];
+
+export const COUNTY_ZONES = Object.fromEntries(
+  Object.entries(ZONE_COUNTIES).flatMap(([zone, names]) => names.map(n => [n, zone])));
+
+export const countyZone = name => COUNTY_ZONES[name] ?? null;
+
+export const ERCOT_COUNTIES = Object.keys(COUNTY_ZONES).sort();
+
+const BY_LOWER = Object.fromEntries(Object.keys(COUNTY_CENTROIDS).map(n => [n.toLowerCase(), n]));
+
+// "MCLENNAN" or "mclennan county" → "McLennan"; null for names that aren't Texas counties.
+export const canonicalCounty = raw =>
+  BY_LOWER[String(raw ?? "").trim().toLowerCase().replace(/\s+county$/, "").replace(/\s+/g, " ")] ?? null;
+
+// Zone the county belongs to when it differs from the chosen zone, else null.
+export function zoneMismatch(f) {
+  const expected = countyZone(f.county);
+  return expected && expected !== f.zone ? expected : null;
+}
+
+// ─── Location attributes ─────────────────────────────────────────────────────
+// Distance to the nearest major load centre plus the county's own queue
+// history. Feeds the Location health score in place of a fixed value.
+
+export const LOAD_CENTERS = [
+  { name:"Dallas–Fort Worth", at:[-97.04, 32.90] },
+  { name:"Houston",           at:[-95.37, 29.76] },
+  { name:"San Antonio",       at:[-98.49, 29.42] },
+  { name:"Austin",            at:[-97.74, 30.27] },
+];
+
+const EARTH_KM = 6371;
+const rad = d => d * Math.PI / 180;
+
+export function distanceKm([lon1, lat1], [lon2, lat2]) {
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2
+    + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+  return 2 * EARTH_KM * Math.asin(Math.sqrt(a));
+}
+
+// Needs at least this many resolved projects before the county's own
+// withdrawal rate counts towards the score.
+const MIN_HISTORY = 5;
+
+export function countyProfile(county, projects = []) {
+  const at = COUNTY_CENTROIDS[county];
+  if (!at) return { county, zone:null, known:false, score:50 };
+
+  const nearest = LOAD_CENTERS
+    .map(c => ({ name:c.name, km:distanceKm(at, c.at) }))
+    .sort((a, b) => a.km - b.km)[0];
+
+  const local     = projects.filter(p => p.county === county);
+  const active    = local.filter(p => p.outcome !== "Withdrawn");
+  const resolved  = local.filter(p => p.outcome !== "Active");
+  const queuedMw  = Math.round(active.reduce((a, p) => a + p.capacity, 0));
+  const wdRate    = resolved.length >= MIN_HISTORY
+    ? resolved.filter(p => p.outcome === "Withdrawn").length / resolved.length : null;
+
+  const score = Math.round(Math.max(0, Math.min(100,
+    100 - Math.min(45, nearest.km / 10) - Math.min(25, queuedMw / 400) - (wdRate ?? 0) * 30)));
+
+  return {
+    county, zone:countyZone(county), known:true, centroid:at,
+    nearestLoad:nearest.name, loadDistanceKm:Math.round(nearest.km),
+    queueProjects:active.length, queuedMw, withdrawalRate:wdRate, score,
+  };
+}
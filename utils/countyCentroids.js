@@ -0,0 +1,259 @@
+// Generated by scripts/build-county-map.js. Do not edit.
+// County centroids as [longitude, latitude].
+
+export const COUNTY_CENTROIDS = {
+  "Anderson":[-95.651,31.814],
+  "Andrews":[-102.638,32.304],
+  "Angelina":[-94.612,31.254],
+  "Aransas":[-96.943,28.23],
+  "Archer":[-98.687,33.615],
+  "Armstrong":[-101.358,34.965],
+  "Atascosa":[-98.527,28.893],
+  "Austin":[-96.278,29.886],
+  "Bailey":[-102.83,34.069],
+  "Bandera":[-99.246,29.747],
+  "Bastrop":[-97.312,30.104],
+  "Baylor":[-99.214,33.617],
+  "Bee":[-97.742,28.417],
+  "Bell":[-97.479,31.037],
+  "Bexar":[-98.52,29.449],
+  "Blanco":[-98.401,30.266],
+  "Borden":[-101.432,32.744],
+  "Bosque":[-97.633,31.901],
+  "Bowie":[-94.424,33.446],
+  "Brazoria":[-95.452,29.189],
+  "Brazos":[-96.302,30.661],
+  "Brewster":[-103.252,29.812],
+  "Briscoe":[-101.208,34.53],
+  "Brooks":[-98.219,27.031],
+  "Brown":[-98.999,31.775],
+  "Burleson":[-96.618,30.493],
+  "Burnet":[-98.183,30.789],
+  "Caldwell":[-97.618,29.837],
+  "Calhoun":[-96.604,28.503],
+  "Callahan":[-99.373,32.298],
+  "Cameron":[-97.52,26.131],
+  "Camp":[-94.98,32.974],
+  "Carson":[-101.355,35.403],
+  "Cass":[-94.342,33.078],
+  "Castro":[-102.263,34.53],
+  "Chambers":[-94.607,29.739],
+  "Cherokee":[-95.164,31.836],
+  "Childress":[-100.207,34.529],
+  "Clay":[-98.209,33.786],
+  "Cochran":[-102.829,33.604],
+  "Coke":[-100.53,31.889],
+  "Coleman":[-99.453,31.772],
+  "Collin":[-96.572,33.188],
+  "Collingsworth":[-100.27,34.965],
+  "Colorado":[-96.526,29.62],
+  "Comal":[-98.278,29.809],
+  "Comanche":[-98.558,31.948],
+  "Concho":[-99.865,31.327],
+  "Cooke":[-97.213,33.64],
+  "Coryell":[-97.8,31.391],
+  "Cottle":[-100.279,34.078],
+  "Crane":[-102.515,31.429],
+  "Crockett":[-101.413,30.723],
+  "Crosby":[-101.3,33.615],
+  "Culberson":[-104.518,31.446],
+  "Dallam":[-102.602,36.278],
+  "Dallas":[-96.778,32.767],
+  "Dawson":[-101.948,32.743],
+  "Deaf Smith":[-102.606,34.965],
+  "Delta":[-95.67,33.385],
+  "Denton":[-97.117,33.205],
+  "DeWitt":[-97.357,29.082],
+  "Dickens":[-100.779,33.616],
+  "Dimmit":[-99.758,28.423],
+  "Donley":[-100.814,34.965],
+  "Duval":[-98.509,27.682],
+  "Eastland":[-98.832,32.327],
+  "Ector":[-102.543,31.869],
+  "Edwards":[-100.305,29.982],
+  "El Paso":[-106.234,31.768],
+  "Ellis":[-96.794,32.349],
+  "Erath":[-98.217,32.236],
+  "Falls":[-96.937,31.254],
+  "Fannin":[-96.107,33.593],
+  "Fayette":[-96.92,29.876],
+  "Fisher":[-100.402,32.743],
+  "Floyd":[-101.303,34.072],
+  "Foard":[-99.779,33.974],
+  "Fort Bend":[-95.769,29.527],
+  "Franklin":[-95.219,33.175],
+  "Freestone":[-96.15,31.705],
+  "Frio":[-99.108,28.868],
+  "Gaines":[-102.636,32.741],
+  "Galveston":[-95.047,29.399],
+  "Garza":[-101.298,33.18],
+  "Gillespie":[-98.948,30.318],
+  "Glasscock":[-101.521,31.87],
+  "Goliad":[-97.425,28.658],
+  "Gonzales":[-97.493,29.457],
+  "Gray":[-100.814,35.401],
+  "Grayson":[-96.678,33.627],
+  "Gregg":[-94.817,32.481],
+  "Grimes":[-95.985,30.545],
+  "Guadalupe":[-97.948,29.583],
+  "Hale":[-101.826,34.071],
+  "Hall":[-100.681,34.53],
+  "Hamilton":[-98.111,31.705],
+  "Hansford":[-101.354,36.278],
+  "Hardeman":[-99.744,34.289],
+  "Hardin":[-94.39,30.332],
+  "Harris":[-95.393,29.857],
+  "Harrison":[-94.371,32.548],
+  "Hartley":[-102.603,35.84],
+  "Haskell":[-99.731,33.179],
+  "Hays":[-98.03,30.057],
+  "Hemphill":[-100.271,35.838],
+  "Henderson":[-95.851,32.212],
+  "Hidalgo":[-98.18,26.397],
+  "Hill":[-97.131,31.991],
+  "Hockley":[-102.343,33.608],
+  "Hood":[-97.833,32.43],
+  "Hopkins":[-95.564,33.149],
+  "Houston":[-95.423,31.318],
+  "Howard":[-101.436,32.307],
+  "Hudspeth":[-105.387,31.457],
+  "Hunt":[-96.085,33.124],
+  "Hutchinson":[-101.355,35.84],
+  "Irion":[-100.982,31.304],
+  "Jack":[-98.173,33.234],
+  "Jackson":[-96.578,28.954],
+  "Jasper":[-94.027,30.746],
+  "Jeff Davis":[-104.14,30.715],
+  "Jefferson":[-94.163,29.883],
+  "Jim Hogg":[-98.697,27.044],
+  "Jim Wells":[-98.09,27.73],
+  "Johnson":[-97.366,32.379],
+  "Jones":[-99.879,32.74],
+  "Karnes":[-97.859,28.906],
+  "Kaufman":[-96.288,32.599],
+  "Kendall":[-98.712,29.944],
+  "Kenedy":[-97.716,26.93],
+  "Kent":[-100.777,33.181],
+  "Kerr":[-99.35,30.061],
+  "Kimble":[-99.748,30.487],
+  "King":[-100.256,33.617],
+  "Kinney":[-100.417,29.35],
+  "Kleberg":[-97.747,27.431],
+  "Knox":[-99.742,33.606],
+  "La Salle":[-99.1,28.345],
+  "Lamar":[-95.572,33.668],
+  "Lamb":[-102.352,34.069],
+  "Lampasas":[-98.242,31.196],
+  "Lavaca":[-96.931,29.384],
+  "Lee":[-96.964,30.312],
+  "Leon":[-95.997,31.296],
+  "Liberty":[-94.813,30.151],
+  "Limestone":[-96.581,31.546],
+  "Lipscomb":[-100.273,36.278],
+  "Live Oak":[-98.125,28.351],
+  "Llano":[-98.684,30.706],
+  "Loving":[-103.578,31.849],
+  "Lubbock":[-101.82,33.61],
+  "Lynn":[-101.816,33.177],
+  "Madison":[-95.928,30.967],
+  "Marion":[-94.358,32.798],
+  "Martin":[-101.951,32.306],
+  "Mason":[-99.226,30.718],
+  "Matagorda":[-96.013,28.821],
+  "Maverick":[-100.315,28.743],
+  "McCulloch":[-99.348,31.198],
+  "McLennan":[-97.202,31.553],
+  "McMullen":[-98.568,28.353],
+  "Medina":[-99.11,29.355],
+  "Menard":[-99.82,30.89],
+  "Midland":[-102.031,31.869],
+  "Milam":[-96.977,30.786],
+  "Mills":[-98.595,31.496],
+  "Mitchell":[-100.92,32.306],
+  "Montague":[-97.725,33.675],
+  "Montgomery":[-95.503,30.3],
+  "Moore":[-101.893,35.838],
+  "Morris":[-94.734,33.114],
+  "Motley":[-100.78,34.074],
+  "Nacogdoches":[-94.617,31.616],
+  "Navarro":[-96.472,32.047],
+  "Newton":[-93.746,30.785],
+  "Nolan":[-100.405,32.304],
+  "Nueces":[-97.647,27.723],
+  "Ochiltree":[-100.815,36.278],
+  "Oldham":[-102.603,35.404],
+  "Orange":[-93.893,30.119],
+  "Palo Pinto":[-98.312,32.753],
+  "Panola":[-94.305,32.162],
+  "Parker":[-97.805,32.778],
+  "Parmer":[-102.785,34.53],
+  "Pecos":[-102.724,30.781],
+  "Polk":[-94.83,30.792],
+  "Potter":[-101.894,35.401],
+  "Presidio":[-104.241,29.999],
+  "Rains":[-95.793,32.871],
+  "Randall":[-101.897,34.966],
+  "Reagan":[-101.523,31.366],
+  "Real":[-99.822,29.833],
+  "Red River":[-95.051,33.621],
+  "Reeves":[-103.692,31.323],
+  "Refugio":[-97.162,28.325],
+  "Roberts":[-100.815,35.838],
+  "Robertson":[-96.514,31.026],
+  "Rockwall":[-96.407,32.898],
+  "Runnels":[-99.977,31.832],
+  "Rusk":[-94.762,32.108],
+  "Sabine":[-93.853,31.344],
+  "San Augustine":[-94.168,31.393],
+  "San Jacinto":[-95.167,30.58],
+  "San Patricio":[-97.52,28.008],
+  "San Saba":[-98.819,31.157],
+  "Schleicher":[-100.538,30.897],
+  "Scurry":[-100.916,32.746],
+  "Shackelford":[-99.354,32.736],
+  "Shelby":[-94.146,31.792],
+  "Sherman":[-101.893,36.278],
+  "Smith":[-95.269,32.376],
+  "Somervell":[-97.775,32.222],
+  "Starr":[-98.738,26.562],
+  "Stephens":[-98.835,32.735],
+  "Sterling":[-101.05,31.828],
+  "Stonewall":[-100.254,33.179],
+  "Sutton":[-100.538,30.499],
+  "Swisher":[-101.735,34.53],
+  "Tarrant":[-97.291,32.772],
+  "Taylor":[-99.89,32.302],
+  "Terrell":[-102.077,30.226],
+  "Terry":[-102.335,33.174],
+  "Throckmorton":[-99.213,33.177],
+  "Titus":[-94.967,33.216],
+  "Tom Green":[-100.462,31.405],
+  "Travis":[-97.782,30.335],
+  "Trinity":[-95.135,31.089],
+  "Tyler":[-94.376,30.771],
+  "Upshur":[-94.942,32.736],
+  "Upton":[-102.043,31.368],
+  "Uvalde":[-99.762,29.357],
+  "Val Verde":[-101.152,29.892],
+  "Van Zandt":[-95.837,32.564],
+  "Victoria":[-96.97,28.796],
+  "Walker":[-95.572,30.739],
+  "Waller":[-95.988,30.009],
+  "Ward":[-103.102,31.51],
+  "Washington":[-96.404,30.213],
+  "Webb":[-99.332,27.761],
+  "Wharton":[-96.222,29.279],
+  "Wheeler":[-100.27,35.401],
+  "Wichita":[-98.703,33.989],
+  "Wilbarger":[-99.24,34.08],
+  "Willacy":[-97.67,26.469],
+  "Williamson":[-97.6,30.648],
+  "Wilson":[-98.086,29.175],
+  "Winkler":[-103.049,31.85],
+  "Wise":[-97.655,33.216],
+  "Wood":[-95.382,32.787],
+  "Yoakum":[-102.828,33.173],
+  "Young":[-98.689,33.177],
+  "Zapata":[-99.169,27.002],
+  "Zavala":[-99.76,28.866],
+};
@@ -0,0 +1,42 @@
+// Minimal RFC 4180 reader: quoted fields, escaped quotes, CRLF/LF line endings.
+// Each row carries the 1-based line it started on so callers can report errors.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false, line = 1, rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i+1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else { if (ch === "\n") line++; field += ch; }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i+1] === "\n") i++;
+      row.push(field); field = "";
+      rows.push(Object.assign(row, { line: rowLine }));
+      row = []; line++; rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(Object.assign(row, { line: rowLine }));
+  }
+  return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+const csvCell = v => {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toCsv(columns, rows) {
+  return [columns, ...rows.map(r => columns.map(c => r[c]))]
+    .map(r => r.map(csvCell).join(","))
+    .join("\r\n") + "\r\n";
+}
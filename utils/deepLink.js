@@ -0,0 +1,36 @@
+import { sanitizeFeatures } from "./validate.js";
+
+// ─── Shareable predictor links ───────────────────────────────────────────────
+// Short query keys keep links readable: /?tab=predictor&mw=150&tech=Solar&…
+
+export const TABS = ["predictor", "portfolio", "map", "model", "about"];
+
+const KEYS = {
+  projectName:"name", inr:"inr", poi:"at", capacity:"mw", techType:"tech", phase:"phase",
+  poiCount:"poi", zone:"zone", county:"county", daysInQueue:"days",
+  firmCapacity:"firm", energyCommunity:"ec", behindMeter:"btm", costSharing:"share",
+  capexPerMw:"capex", capacityFactor:"cf", price:"price", discountRate:"dr", codTargetMonths:"cod",
+  storageMw:"smw", storageMwh:"smwh", generationMw:"gmw", gridCharging:"gc",
+};
+
+export function stateToQuery(tab, form) {
+  const query = { tab };
+  for (const [field, key] of Object.entries(KEYS)) {
+    const v = form[field];
+    if (v === "" || v === undefined || v === null) continue;
+    query[key] = typeof v === "boolean" ? (v ? "1" : "0") : String(v);
+  }
+  return query;
+}
+
+// `hasInputs` tells the page whether the link carried a project to re-run.
+export function queryToState(query, defaults) {
+  const first = v => Array.isArray(v) ? v[0] : v;
+  const input = {};
+  for (const [field, key] of Object.entries(KEYS)) {
+    if (query[key] !== undefined) input[field] = first(query[key]);
+  }
+  const { features, fixed } = sanitizeFeatures(input, defaults);
+  const tab = TABS.includes(first(query.tab)) ? first(query.tab) : TABS[0];
+  return { tab, form:features, fixed, hasInputs:Object.keys(input).length > 0 };
+}
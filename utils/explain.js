@@ -0,0 +1,64 @@
+// ─── Per-feature attribution ─────────────────────────────────────────────────
+// Exact Shapley values over feature groups, measured against a reference
+// project. Only calls the model as a black box, so it keeps working when the
+// model file or the formulas change. Contributions sum to prediction − reference.
+
+export const REFERENCE_PROJECT = {
+  capacity:100, techType:"Solar", phase:1, poiCount:5, zone:"NORTH", county:"Other",
+  daysInQueue:365, firmCapacity:0.5, energyCommunity:false, behindMeter:false,
+  storageMw:0, storageMwh:0, generationMw:null, gridCharging:false,
+};
+
+export const FEATURE_GROUPS = [
+  { key:"phase",           label:"Study phase",      fields:["phase"] },
+  { key:"poi",             label:"POI congestion",   fields:["poiCount"] },
+  { key:"tech",            label:"Technology",       fields:["techType"] },
+  { key:"zone",            label:"Zone / county",    fields:["zone", "county"] },
+  { key:"capacity",        label:"Capacity",         fields:["capacity"] },
+  { key:"firmCapacity",    label:"Firm capacity",    fields:["firmCapacity"] },
+  { key:"energyCommunity", label:"Energy community", fields:["energyCommunity"] },
+  { key:"behindMeter",     label:"Behind the meter", fields:["behindMeter"] },
+  { key:"daysInQueue",     label:"Days in queue",    fields:["daysInQueue"] },
+  { key:"storage",         label:"Storage config",   fields:["storageMw", "storageMwh", "generationMw", "gridCharging"] },
+];
+
+export const EXPLAINED_OUTPUTS = ["wd", "timeline", "cost", "score"];
+
+const factorial = n => n <= 1 ? 1 : n * factorial(n - 1);
+
+// `evaluate` maps a feature object to an object holding EXPLAINED_OUTPUTS.
+export function explainPrediction(f, evaluate, reference = REFERENCE_PROJECT) {
+  const groups = FEATURE_GROUPS;
+  const n = groups.length;
+  const ref = { ...f, ...reference };
+
+  // Evaluate every coalition once: bit i set means group i takes the project's value.
+  const values = new Array(1 << n);
+  for (let mask = 0; mask < 1 << n; mask++) {
+    const x = { ...ref };
+    groups.forEach((g, i) => { if (mask & (1 << i)) g.fields.forEach(k => { x[k] = f[k]; }); });
+    const out = evaluate(x);
+    values[mask] = EXPLAINED_OUTPUTS.map(k => +out[k]);
+  }
+
+  const popcount = m => { let c = 0; while (m) { c += m & 1; m >>= 1; } return c; };
+  const weights = Array.from({ length:n }, (_, s) => factorial(s) * factorial(n - s - 1) / factorial(n));
+
+  const features = groups.map((g, i) => {
+    const phi = EXPLAINED_OUTPUTS.map(() => 0);
+    for (let mask = 0; mask < 1 << n; mask++) {
+      if (mask & (1 << i)) continue;
+      const w = weights[popcount(mask)];
+      EXPLAINED_OUTPUTS.forEach((_, o) => { phi[o] += w * (values[mask | (1 << i)][o] - values[mask][o]); });
+    }
+    return {
+      key:g.key, label:g.label,
+      ...Object.fromEntries(EXPLAINED_OUTPUTS.map((k, o) => [k, +phi[o].toFixed(4)])),
+    };
+  });
+
+  return {
+    reference: Object.fromEntries(EXPLAINED_OUTPUTS.map((k, o) => [k, +values[0][o].toFixed(4)])),
+    features,
+  };
+}
@@ -0,0 +1,120 @@
+// ─── Project economics ───────────────────────────────────────────────────────
+// Annual cash flows in $M, discounted to today. Capex is committed on the
+// planned schedule (COD target less the build period) and the network upgrade
+// is paid at IA signing; COD is the later of the target and IA signing plus
+// the build. The reference case pays no upgrade and reaches COD on target, so
+// IRR impact and revenue at risk isolate what interconnection costs the project.
+
+export const BUILD_MONTHS = 18;
+export const LIFE_YEARS   = 25;
+const OPEX_RATE = 0.02;   // of capex, per year
+const HOURS     = 8760;
+
+// Per-technology defaults used when an input is left blank. Capex in $M/MW,
+// price in $/MWh (battery: captured spread plus ancillaries; gas: net of fuel).
+export const TECH_ECONOMICS = {
+  Solar:   { capexPerMw:1.00, capacityFactor:0.26, price:50 },
+  Wind:    { capexPerMw:1.35, capacityFactor:0.38, price:42 },
+  Battery: { capexPerMw:0.90, capacityFactor:0.15, price:110 },
+  Hybrid:  { capexPerMw:1.60, capacityFactor:0.30, price:60 },
+  Gas:     { capexPerMw:1.00, capacityFactor:0.45, price:25 },
+  Other:   { capexPerMw:1.30, capacityFactor:0.30, price:45 },
+};
+export const DEFAULT_DISCOUNT_RATE = 0.08;
+export const DEFAULT_COD_TARGET    = 36;   // months from today
+
+export function financeInputs(f) {
+  const tech = TECH_ECONOMICS[f.techType] || TECH_ECONOMICS.Other;
+  return {
+    capexPerMw:      f.capexPerMw      ?? tech.capexPerMw,
+    capacityFactor:  f.capacityFactor  ?? tech.capacityFactor,
+    price:           f.price           ?? tech.price,
+    discountRate:    f.discountRate    ?? DEFAULT_DISCOUNT_RATE,
+    codTargetMonths: f.codTargetMonths ?? DEFAULT_COD_TARGET,
+  };
+}
+
+const annualRevenue = (f, e) => f.capacity * e.capacityFactor * HOURS * e.price / 1e6;
+const codMonths = (e, timeline) => Math.max(e.codTargetMonths, timeline + BUILD_MONTHS);
+
+function cashFlows(f, e, timeline, upgradeCost) {
+  const capex = e.capexPerMw * f.capacity;
+  const net   = annualRevenue(f, e) - capex * OPEX_RATE;
+  const cod   = codMonths(e, timeline) / 12;
+  return [
+    { t:Math.max(0, e.codTargetMonths - BUILD_MONTHS) / 12, amount:-capex },
+    { t:timeline / 12, amount:-upgradeCost },
+    ...Array.from({ length:LIFE_YEARS }, (_, k) => ({ t:cod + k + 0.5, amount:net })),
+  ];
+}
+
+const npvAt = (flows, r) => flows.reduce((a, c) => a + c.amount / (1 + r) ** c.t, 0);
+
+// Bisection on NPV(r) = 0; null when the flows never break even.
+export function irr(flows) {
+  let lo = -0.9, hi = 2, fLo = npvAt(flows, lo);
+  if (fLo * npvAt(flows, hi) > 0) return null;
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2, fMid = npvAt(flows, mid);
+    if (fLo * fMid <= 0) hi = mid; else { lo = mid; fLo = fMid; }
+  }
+  return (lo + hi) / 2;
+}
+
+function evaluateCase(f, e, timeline, upgradeCost) {
+  const flows = cashFlows(f, e, timeline, upgradeCost);
+  const r = irr(flows);
+  return { npv:+npvAt(flows, e.discountRate).toFixed(1), irr:r === null ? null : +(r * 100).toFixed(2) };
+}
+
+// Headline figures: IRR change in percentage points versus the reference
+// case, and revenue lost while COD slips past the target.
+export function financialImpact(f, timeline, cost) {
+  const e = financeInputs(f);
+  const base = evaluateCase(f, e, timeline, cost);
+  const ref  = evaluateCase(f, e, Math.max(0, e.codTargetMonths - BUILD_MONTHS), 0);
+  const delayMonths = codMonths(e, timeline) - e.codTargetMonths;
+  const revenue     = annualRevenue(f, e);
+  return {
+    inputs:e, base, ref, delayMonths, annualRevenue:revenue,
+    irrHit:        base.irr === null || ref.irr === null ? null : +(base.irr - ref.irr).toFixed(2),
+    revenueAtRisk: (revenue * delayMonths / 12).toFixed(1),
+  };
+}
+
+export const SENSITIVITIES = [
+  { label:"Delay +6 mo",             delay:6,  overrun:0 },
+  { label:"Delay +12 mo",            delay:12, overrun:0 },
+  { label:"Upgrade cost +25%",       delay:0,  overrun:0.25 },
+  { label:"Upgrade cost +50%",       delay:0,  overrun:0.5 },
+  { label:"Delay +12 mo, cost +50%", delay:12, overrun:0.5 },
+];
+
+// Full analysis for the results view: P10/P50/P90 style cases from the
+// predicted timeline and cost ranges, plus delay and overrun sensitivities.
+export function financialAnalysis(f, r) {
+  const impact = financialImpact(f, r.timeline, r.cost);
+  const e = impact.inputs;
+  const cases = [
+    { label:"Favourable", timeline:+r.tlLow,  cost:+r.costLow },
+    { label:"Expected",   timeline:r.timeline, cost:r.cost },
+    { label:"Adverse",    timeline:+r.tlHigh, cost:+r.costHigh },
+  ].map(c => ({ ...c, ...evaluateCase(f, e, c.timeline, c.cost) }));
+  const sensitivity = SENSITIVITIES.map(s => {
+    const v = evaluateCase(f, e, r.timeline + s.delay, r.cost * (1 + s.overrun));
+    return {
+      label:s.label, ...v,
+      npvDelta: +(v.npv - impact.base.npv).toFixed(1),
+      irrDelta: v.irr === null || impact.base.irr === null ? null : +(v.irr - impact.base.irr).toFixed(2),
+    };
+  });
+  return {
+    ...e,
+    capex:         +(e.capexPerMw * f.capacity).toFixed(1),
+    annualRevenue: +impact.annualRevenue.toFixed(1),
+    codMonths:     +codMonths(e, r.timeline).toFixed(1),
+    delayMonths:   +impact.delayMonths.toFixed(1),
+    npv:impact.base.npv, irr:impact.base.irr, refNpv:impact.ref.npv, refIrr:impact.ref.irr,
+    cases, sensitivity,
+  };
+}
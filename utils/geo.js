@@ -0,0 +1,33 @@
+// ─── Map projection ──────────────────────────────────────────────────────────
+// Equirectangular projection with longitude scaled by cos(mid-latitude), which
+// is close enough at the size of Texas and needs no projection library.
+
+const rings = g =>
+  g.type === "Polygon"         ? g.coordinates :
+  g.type === "MultiPolygon"    ? g.coordinates.flat() :
+  g.type === "LineString"      ? [g.coordinates] :
+  g.type === "MultiLineString" ? g.coordinates : [];
+
+export function fitProjection(features, width, pad = 4) {
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (const f of features) {
+    for (const ring of rings(f.geometry)) {
+      for (const [x, y] of ring) {
+        if (x < minX) minX = x; if (x > maxX) maxX = x;
+        if (y < minY) minY = y; if (y > maxY) maxY = y;
+      }
+    }
+  }
+  const kx = Math.cos((minY + maxY) / 2 * Math.PI / 180);
+  const scale = (width - pad * 2) / ((maxX - minX) * kx);
+  const height = Math.ceil((maxY - minY) * scale + pad * 2);
+  const project = ([x, y]) => [pad + (x - minX) * kx * scale, pad + (maxY - y) * scale];
+
+  // Polygons close their rings; lines are left open.
+  const path = geometry => {
+    const closed = geometry.type.endsWith("Polygon");
+    return rings(geometry).map(ring => "M" + ring.map(p => project(p).map(v => v.toFixed(1)).join(",")).join("L")
+      + (closed ? "Z" : "")).join("");
+  };
+  return { width, height, project, path };
+}
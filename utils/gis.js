@@ -0,0 +1,177 @@
+import * as XLSX from "xlsx";
+import { parseCsv } from "./csv.js";
+import { ZONES } from "./constants.js";
+import { canonicalCounty, countyZone } from "./counties.js";
+import { poiKey } from "./poi.js";
+
+// ─── ERCOT GIS Status Report (RPT_00015933) parser ───────────────────────────
+// The monthly report is published as a multi-sheet workbook; the project
+// sheets start with a few title rows before the header row holding "INR".
+
+const COLUMNS = {
+  inr:         ["inr", "inr number", "inr #"],
+  projectName: ["project name"],
+  poi:         ["poi location", "poi", "point of interconnection"],
+  county:      ["county"],
+  zone:        ["cdr reporting zone", "cdr zone", "zone"],
+  fuel:        ["fuel"],
+  technology:  ["technology"],
+  capacity:    ["capacity (mw)", "capacity", "summer mw", "mw"],
+  studyPhase:  ["gim study phase", "study phase"],
+  ssStart:     ["screening study started", "ss started"],
+  ssDone:      ["screening study complete", "ss completed", "ss complete"],
+  fisStart:    ["fis requested", "fis started"],
+  fisDone:     ["fis approved", "fis completed", "fis complete"],
+  iaSigned:    ["ia signed"],
+  projectedCod:["projected cod"],
+  status:      ["project status", "status"],
+};
+
+const ZONE_ALIASES = { COASTAL:"COAST", PANHANDL:"PANHANDLE" };
+const DAY_MS = 86400000;
+
+const norm = s => String(s ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+
+function toDate(v) {
+  if (v instanceof Date) return isNaN(v) ? null : v;
+  if (typeof v === "number" && v > 20000) return new Date(Math.round((v - 25569) * DAY_MS));
+  const s = String(v ?? "").trim();
+  if (!s || /^(n\/?a|none|-)$/i.test(s)) return null;
+  const d = new Date(s);
+  return isNaN(d) ? null : d;
+}
+
+const isoDate = d => d ? d.toISOString().slice(0, 10) : null;
+
+function titleCase(s) {
+  return String(s ?? "").trim().toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase());
+}
+
+export function mapZone(raw) {
+  const z = String(raw ?? "").trim().toUpperCase();
+  const mapped = ZONE_ALIASES[z] || z;
+  return ZONES.includes(mapped) ? mapped : null;
+}
+
+export function mapTech(fuel, technology) {
+  const f = String(fuel ?? "").toUpperCase();
+  const t = String(technology ?? "").toUpperCase();
+  const storage = /\bBA\b|BATTERY|STORAGE|ESR/.test(t);
+  if ((f === "OTH" && storage) || f === "BAT") return "Battery";
+  if (((f === "SOL" || f === "WIN") && storage) || /HYBRID/.test(f + t)) return "Hybrid";
+  if (f === "SOL") return "Solar";
+  if (f === "WIN") return "Wind";
+  if (f === "GAS") return "Gas";
+  return "Other";
+}
+
+// Highest milestone with a date wins; the free-text phase column is the fallback
+// for rows where ERCOT left the milestone dates blank.
+export function mapPhase(row) {
+  if (row.iaSigned)  return 4;
+  if (row.fisDone)   return 3;
+  if (row.fisStart)  return 2;
+  if (row.ssDone)    return 1;
+  const p = norm(row.studyPhase);
+  if (/\bia\b/.test(p) && !/no ia/.test(p)) return 4;
+  if (/fis (approved|complete)/.test(p)) return 3;
+  if (/fis/.test(p)) return 2;
+  if (/ss (complete|approved)/.test(p)) return 1;
+  return 0;
+}
+
+function findHeader(rows) {
+  for (let i = 0; i < Math.min(rows.length, 40); i++) {
+    if (rows[i].some(c => COLUMNS.inr.includes(norm(c)))) return i;
+  }
+  return -1;
+}
+
+function columnIndex(header) {
+  const cells = header.map(norm);
+  const idx = {};
+  for (const [key, aliases] of Object.entries(COLUMNS)) {
+    const i = cells.findIndex(c => aliases.includes(c));
+    if (i >= 0) idx[key] = i;
+  }
+  return idx;
+}
+
+// Maps one sheet's rows (array of arrays) to raw INR records. Projects on the
+// report's inactive sheet, or with a withdrawn/cancelled status, are flagged.
+function readSheetRows(rows, sheetName = "") {
+  const inactiveSheet = /inactive|withdraw|cancel/i.test(sheetName);
+  const h = findHeader(rows);
+  if (h < 0) return [];
+  const idx = columnIndex(rows[h]);
+  const get = (r, k) => idx[k] === undefined ? "" : r[idx[k]];
+
+  return rows.slice(h + 1).flatMap(r => {
+    const inr = String(get(r, "inr") ?? "").trim().toUpperCase();
+    if (!/^\d{2}INR\d{4}/.test(inr)) return [];
+    const county = canonicalCounty(get(r, "county"));
+    return [{
+      inr,
+      projectName: String(get(r, "projectName") ?? "").trim(),
+      poi:         String(get(r, "poi") ?? "").trim(),
+      county:      county ?? titleCase(get(r, "county")),
+      zone:        mapZone(get(r, "zone")) ?? countyZone(county),
+      techType:    mapTech(get(r, "fuel"), get(r, "technology")),
+      capacity:    +parseFloat(String(get(r, "capacity")).replace(/,/g, "")) || 0,
+      studyPhase:  String(get(r, "studyPhase") ?? "").trim(),
+      ssStart:     toDate(get(r, "ssStart")),
+      ssDone:      toDate(get(r, "ssDone")),
+      fisStart:    toDate(get(r, "fisStart")),
+      fisDone:     toDate(get(r, "fisDone")),
+      iaSigned:    toDate(get(r, "iaSigned")),
+      projectedCod:toDate(get(r, "projectedCod")),
+      withdrawn:   inactiveSheet || /withdr|cancel|inactive/i.test(String(get(r, "status") ?? "")),
+    }];
+  });
+}
+
+// Turns raw rows into predictor-ready projects. POI count is derived from how
+// many queued projects share the same POI (see utils/poi.js) within this report.
+// Without a screening start date, days in queue is left null rather than
+// guessed, so validation reports it as missing.
+export function buildProjects(raw, reportDate = new Date()) {
+  const byInr = new Map(raw.map(r => [r.inr, r]));
+  const rows  = [...byInr.values()];
+  const poiCounts = {};
+  for (const r of rows) if (poiKey(r.poi) && !r.withdrawn) poiCounts[poiKey(r.poi)] = (poiCounts[poiKey(r.poi)] || 0) + 1;
+
+  return rows.map(r => ({
+    inr:          r.inr,
+    projectName:  r.projectName,
+    poi:          r.poi,
+    county:       r.county,
+    zone:         r.zone,
+    techType:     r.techType,
+    capacity:     r.capacity,
+    phase:        mapPhase(r),
+    poiCount:     poiKey(r.poi) ? poiCounts[poiKey(r.poi)] || 0 : 1,
+    daysInQueue:  r.ssStart ? Math.max(0, Math.round((reportDate - r.ssStart) / DAY_MS)) : null,
+    studyPhase:   r.studyPhase,
+    screeningStart: isoDate(r.ssStart),
+    iaSigned:     isoDate(r.iaSigned),
+    projectedCod: isoDate(r.projectedCod),
+    outcome:      r.withdrawn ? "Withdrawn" : mapPhase(r) === 4 ? "IA Signed" : "Active",
+  }));
+}
+
+export function parseGisCsv(text, reportDate) {
+  return buildProjects(readSheetRows(parseCsv(text)), reportDate);
+}
+
+export function parseGisWorkbook(buffer, reportDate) {
+  const wb  = XLSX.read(buffer, { type:"buffer", cellDates:true });
+  const raw = wb.SheetNames.flatMap(name =>
+    readSheetRows(XLSX.utils.sheet_to_json(wb.Sheets[name], { header:1, raw:true, defval:"" }), name));
+  return buildProjects(raw, reportDate);
+}
+
+export function parseGisReport(fileName, data, reportDate) {
+  return /\.csv$/i.test(fileName)
+    ? parseGisCsv(data.toString("utf8"), reportDate)
+    : parseGisWorkbook(data, reportDate);
+}
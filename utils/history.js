@@ -0,0 +1,39 @@
+import { validateFeatures } from "./validate.js";
+
+// ─── Re-scoring across report snapshots ──────────────────────────────────────
+// A saved project is re-scored against every stored GIS report that lists its
+// INR. Only the fields the report tracks change between months; the rest
+// (firm capacity, IRA flags, …) come from the saved inputs.
+
+export const REPORT_FIELDS = ["phase", "daysInQueue", "poiCount"];
+
+// `snapshots` are { reportDate, projects } oldest first; `evaluate` maps
+// features to at least { wd, timeline, score }. Reports whose values fall
+// outside the predictor's input ranges (a project can sit in the queue longer
+// than the form allows) are left out rather than scored.
+export function projectTimeline(inputs, snapshots, evaluate) {
+  const inr = String(inputs.inr ?? "").trim().toUpperCase();
+  if (!inr) return [];
+  return snapshots.flatMap(s => {
+    const q = s.projects.find(p => p.inr === inr);
+    if (!q) return [];
+    const { features } = validateFeatures({ ...inputs, ...Object.fromEntries(REPORT_FIELDS.map(k => [k, q[k]])) });
+    if (!features) return [];
+    return [{ reportDate:s.reportDate, outcome:q.outcome, inputs:features, ...evaluate(features) }];
+  });
+}
+
+// True when the newest report moved a project on from its saved inputs.
+export const reportChanged = (inputs, entry) => REPORT_FIELDS.some(k => inputs[k] !== entry.inputs[k]);
+
+// Risk increases larger than `threshold` (a probability, e.g. 0.1) between
+// consecutive snapshots. `timelines` maps project id → { name, entries }.
+export function riskAlerts(timelines, threshold) {
+  return Object.entries(timelines).flatMap(([id, { name, entries }]) =>
+    entries.slice(1).flatMap((to, i) => {
+      const from = entries[i];
+      const delta = to.wd - from.wd;
+      return delta > threshold ? [{ id, name, from, to, delta }] : [];
+    }))
+    .sort((a, b) => b.delta - a.delta);
+}
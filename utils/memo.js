@@ -0,0 +1,202 @@
+import { PHASES } from "./constants.js";
+import { riskLevel, riskNarrative } from "./narrative.js";
+import { storageLabel } from "./storage.js";
+
+// ─── Investor memo export ────────────────────────────────────────────────────
+// Builds a single self-contained HTML document (inline CSS and SVG, no external
+// assets) that prints cleanly to PDF from any browser.
+
+const P = {
+  ink:"#0f172a", sub:"#475569", muted:"#94a3b8", rule:"#e2e8f0",
+  blue:"#2563eb", green:"#16a34a", amber:"#d97706", red:"#dc2626",
+};
+
+const esc = v => String(v ?? "").replace(/[&<>"']/g, c =>
+  ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&#39;" })[c]);
+
+const riskTone = wd => wd > 0.5 ? P.red : wd > 0.3 ? P.amber : P.green;
+
+function ringSvg(value, display, sub, color) {
+  const size = 96, stroke = 8, r = (size - stroke) / 2, circ = 2 * Math.PI * r;
+  const dash = circ * Math.min(1, Math.max(0, value));
+  return `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
+    <circle cx="${size/2}" cy="${size/2}" r="${r}" fill="none" stroke="${P.rule}" stroke-width="${stroke}"/>
+    <circle cx="${size/2}" cy="${size/2}" r="${r}" fill="none" stroke="${color}" stroke-width="${stroke}"
+      stroke-dasharray="${dash} ${circ}" stroke-linecap="round" transform="rotate(-90 ${size/2} ${size/2})"/>
+    <text x="50%" y="${sub ? 46 : 53}%" text-anchor="middle" font-size="17" font-weight="700" fill="${P.ink}">${esc(display)}</text>
+    ${sub ? `<text x="50%" y="64%" text-anchor="middle" font-size="9" fill="${P.muted}">${esc(sub)}</text>` : ""}
+  </svg>`;
+}
+
+function phaseBarSvg(phaseData) {
+  const w = 320, h = 160, pad = 24, bw = 36;
+  const step = (w - pad * 2) / phaseData.length;
+  const bars = phaseData.map((d, i) => {
+    const bh = (h - pad * 2) * d.risk / 100;
+    const x = pad + i * step + (step - bw) / 2, y = h - pad - bh;
+    return `<rect x="${x}" y="${y}" width="${bw}" height="${bh}" rx="3" fill="${d.active ? P.blue : P.rule}"/>
+      <text x="${x + bw/2}" y="${y - 4}" text-anchor="middle" font-size="9" fill="${P.sub}">${d.risk}%</text>
+      <text x="${x + bw/2}" y="${h - 8}" text-anchor="middle" font-size="10" fill="${P.sub}">${esc(d.name)}</text>`;
+  }).join("");
+  return `<svg width="100%" viewBox="0 0 ${w} ${h}">${bars}</svg>`;
+}
+
+function monteCarloSvg(samples) {
+  const w = 320, h = 160, pad = 28;
+  const x = i => pad + i * (w - pad * 2) / Math.max(1, samples.length - 1);
+  const y = v => h - pad - v * (h - pad * 2);
+  const line = k => samples.map((s, i) => `${x(i)},${y(s[k])}`).join(" ");
+  const band = [...samples.map((s, i) => `${x(i)},${y(s.high)}`), ...samples.map((s, i) => `${x(i)},${y(s.low)}`).reverse()].join(" ");
+  const grid = [0, 0.25, 0.5, 0.75, 1].map(v =>
+    `<line x1="${pad}" x2="${w - pad}" y1="${y(v)}" y2="${y(v)}" stroke="${P.rule}"/>
+     <text x="${pad - 4}" y="${y(v) + 3}" text-anchor="end" font-size="8" fill="${P.muted}">${v * 100}%</text>`).join("");
+  const ticks = samples.map((s, i) => i % 2 ? "" :
+    `<text x="${x(i)}" y="${h - 10}" text-anchor="middle" font-size="8" fill="${P.muted}">${esc(s.month)}</text>`).join("");
+  return `<svg width="100%" viewBox="0 0 ${w} ${h}">${grid}${ticks}
+    <polygon points="${band}" fill="${P.blue}" opacity="0.12"/>
+    <polyline points="${line("high")}" fill="none" stroke="${P.red}" stroke-dasharray="4 2"/>
+    <polyline points="${line("low")}" fill="none" stroke="${P.green}" stroke-dasharray="4 2"/>
+    <polyline points="${line("mid")}" fill="none" stroke="${P.ink}" stroke-width="2"/>
+  </svg>`;
+}
+
+function radarSvg(radarData) {
+  const size = 220, c = size / 2, r = 72, n = radarData.length;
+  const pt = (i, v) => {
+    const a = -Math.PI / 2 + i * 2 * Math.PI / n;
+    return [c + Math.cos(a) * r * v, c + Math.sin(a) * r * v];
+  };
+  const rings = [0.25, 0.5, 0.75, 1].map(v =>
+    `<polygon points="${radarData.map((_, i) => pt(i, v).join(",")).join(" ")}" fill="none" stroke="${P.rule}"/>`).join("");
+  const labels = radarData.map((d, i) => {
+    const [lx, ly] = pt(i, 1.28);
+    return `<text x="${lx}" y="${ly + 3}" text-anchor="middle" font-size="9" fill="${P.sub}">${esc(d.subject)}</text>`;
+  }).join("");
+  const shape = radarData.map((d, i) => pt(i, d.A / 100).join(",")).join(" ");
+  return `<svg width="100%" viewBox="0 0 ${size} ${size}">${rings}${labels}
+    <polygon points="${shape}" fill="${P.blue}" fill-opacity="0.15" stroke="${P.blue}" stroke-width="2"/>
+  </svg>`;
+}
+
+const table = (head, rows) => `<table><thead><tr>${head.map(h => `<th>${esc(h)}</th>`).join("")}</tr></thead>
+  <tbody>${rows.map(r => `<tr>${r.map(c => `<td>${c}</td>`).join("")}</tr>`).join("")}</tbody></table>`;
+
+export function buildMemoHtml({ form, result, generatedAt = new Date() }) {
+  const name    = form.projectName || "Unnamed Project";
+  const model   = result.model || {};
+  const tone    = riskTone(result.wd);
+  const stamp   = generatedAt.toISOString().replace("T", " ").slice(0, 16) + " UTC";
+  const dataAsOf = result.dataAsOf || "no GIS report imported";
+
+  const scenarios = table(["Scenario", "WD change", "Cost change", "Timeline change", "Score change"],
+    result.scenarios.map(s => [
+      esc(s.label),
+      `${s.wdDelta > 0 ? "+" : ""}${(s.wdDelta * 100).toFixed(1)} pts`,
+      `${s.costDelta > 0 ? "+" : ""}$${s.costDelta.toFixed(1)}M`,
+      `${s.tlDelta > 0 ? "+" : ""}${s.tlDelta} mo`,
+      `${s.scoreDelta > 0 ? "+" : ""}${s.scoreDelta ?? 0}`,
+    ]));
+
+  const comps = result.comps.length
+    ? table(["Project", "INR", "MW", "Tech", "Zone", "Phase", "Similarity", "Outcome"],
+        result.comps.slice(0, 10).map(c => [
+          esc(c.name), esc(c.inr), c.mw, esc(c.techType), esc(c.zone || "—"),
+          esc(PHASES[c.phase]?.short), `${c.similarity}%`, esc(c.status),
+        ]))
+    : `<p class="note">No local queue data was available for comparable projects.</p>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${esc(name)} — ERCOT Queue Memo</title>
+<style>
+  * { box-sizing:border-box; margin:0; padding:0; }
+  body { font-family:-apple-system,"Segoe UI",Helvetica,Arial,sans-serif; color:${P.ink}; background:#fff;
+    max-width:860px; margin:0 auto; padding:40px 32px; font-size:12px; line-height:1.55; }
+  h1 { font-size:22px; } h2 { font-size:11px; text-transform:uppercase; letter-spacing:2px; color:${P.sub};
+    margin:28px 0 10px; border-bottom:1px solid ${P.rule}; padding-bottom:6px; }
+  .meta { color:${P.sub}; margin-top:4px; } .stamp { color:${P.muted}; font-size:10px; margin-top:2px; }
+  .head { display:flex; justify-content:space-between; align-items:flex-start; }
+  .score { text-align:right; } .score b { font-size:40px; line-height:1; color:${tone}; display:block; }
+  .rings { display:grid; grid-template-columns:repeat(4,1fr); text-align:center; }
+  .rings p { font-size:9px; text-transform:uppercase; letter-spacing:1.5px; color:${P.sub}; }
+  .grid2 { display:grid; grid-template-columns:1fr 1fr; gap:24px; }
+  .stats { display:grid; grid-template-columns:repeat(3,1fr); gap:12px; }
+  .stats div { border:1px solid ${P.rule}; border-radius:6px; padding:10px; }
+  .stats b { display:block; font-size:15px; margin-top:2px; }
+  .risk { border-left:3px solid ${tone}; padding:8px 14px; background:#f8fafc; }
+  .tag { display:inline-block; font-size:9px; font-weight:700; letter-spacing:1.5px; color:${tone};
+    border:1px solid ${tone}; border-radius:3px; padding:1px 8px; margin-bottom:6px; }
+  table { width:100%; border-collapse:collapse; } th { text-align:left; font-size:9px; text-transform:uppercase;
+    letter-spacing:1px; color:${P.sub}; border-bottom:1px solid ${P.rule}; padding:6px 8px; }
+  td { padding:6px 8px; border-bottom:1px solid ${P.rule}; }
+  .note { color:${P.muted}; } footer { margin-top:32px; color:${P.muted}; font-size:10px; }
+  .print { position:fixed; top:16px; right:16px; padding:8px 14px; border:1px solid ${P.rule};
+    background:#fff; border-radius:6px; cursor:pointer; }
+  @media print { .print { display:none; } body { padding:0; } h2 { break-after:avoid; } table, svg { break-inside:avoid; } }
+</style>
+</head>
+<body>
+<button class="print" onclick="window.print()">Print / Save as PDF</button>
+<div class="head">
+  <div>
+    <h1>${esc(name)}</h1>
+    <p class="meta">${form.inr ? `${esc(form.inr)} · ` : ""}${form.capacity} MW · ${esc(form.techType)} · ${esc(form.zone)} Zone · ${esc(form.county)} County · ${esc(PHASES[form.phase]?.label)}</p>
+    <p class="stamp">Model ${esc(model.version)}${model.accuracy != null ? ` (${(model.accuracy * 100).toFixed(1)}% holdout accuracy)` : " (not validated)"} · Queue data as of ${esc(dataAsOf)} · Generated ${stamp}</p>
+  </div>
+  <div class="score"><p class="meta">Queue Certainty Score</p><b>${result.score}</b><p class="meta">out of 100</p></div>
+</div>
+
+<h2>Headline Metrics</h2>
+<div class="rings">
+  <div>${ringSvg(result.wd, `${(result.wd * 100).toFixed(0)}%`, "", tone)}<p>Withdrawal Risk</p></div>
+  <div>${ringSvg(result.timeline / 48, result.timeline, "months", P.blue)}<p>Timeline</p></div>
+  <div>${ringSvg(result.cost / 30, `$${result.cost}M`, "", P.amber)}<p>Upgrade Cost</p></div>
+  <div>${ringSvg(Math.abs(result.irrHit ?? 0) / 5, result.irrHit == null ? "n/a" : `${result.irrHit}%`, "", P.red)}<p>IRR Impact</p></div>
+</div>
+<div class="stats" style="margin-top:14px">
+  <div>Timeline Range<b>${result.tlLow}–${result.tlHigh} mo</b></div>
+  <div>Cost Range<b>$${result.costLow}–$${result.costHigh}M</b></div>
+  <div>Revenue at Risk<b>$${result.revenueAtRisk}M</b></div>
+${result.finance ? `  <div>NPV @ ${(result.finance.discountRate * 100).toFixed(1)}%<b>$${result.finance.npv}M</b></div>
+  <div>Project IRR<b>${result.finance.irr == null ? "n/a" : `${result.finance.irr}%`}</b></div>
+  <div>COD<b>${result.finance.codMonths} mo (${result.finance.delayMonths} mo late)</b></div>` : ""}
+</div>
+${result.schedule ? `<p class="note">Milestones (P50, P10–P90): ${result.schedule.phases.map(p =>
+  `${esc(p.milestone)} ${p.endDate.p50} (${p.endDate.p10} – ${p.endDate.p90})`).join(" · ")}.</p>` : ""}
+${result.costModel ? `<p class="note">Upgrade cost drivers: ${result.costModel.drivers.map(d => `${esc(d.label)} $${d.cost.toFixed(1)}M`).join(" · ")}.
+  P50 $${result.costModel.distribution.p50.toFixed(1)}M${result.costModel.sharing.applied ? `, shared with ${result.costModel.sharing.participants - 1} queued project(s) at the POI` : ""}.</p>` : ""}
+
+<div class="grid2">
+  <div><h2>Withdrawal Risk by Phase</h2>${phaseBarSvg(result.phaseData)}</div>
+  <div><h2>Probability Over Time (Monte Carlo)</h2>${monteCarloSvg(result.mcSamples)}
+    <p class="note">Cumulative withdrawal · median with P10 / P90 bands</p></div>
+</div>
+
+<div class="grid2">
+  <div><h2>Project Health Radar</h2>${radarSvg(result.radarData)}</div>
+  <div><h2>Risk Assessment</h2>
+    <div class="risk"><span class="tag">${riskLevel(result.wd)}</span><p>${esc(riskNarrative(form, result))}</p></div>
+    <p class="meta" style="margin-top:10px">Energy community: ${form.energyCommunity ? "Eligible" : "Not eligible"} ·
+      Behind the meter: ${form.behindMeter ? "Yes" : "No"} · Firm capacity: ${Math.round((result.storage?.firmCapacity ?? form.firmCapacity) * 100)}%${result.storage?.hasStorage
+        ? ` · Storage: ${storageLabel(result.storage)}${result.storage.gridCharging ? ", grid charging" : ""}` : ""}</p>
+  </div>
+</div>
+
+<h2>What-If Scenarios</h2>
+${scenarios}
+
+<h2>Comparable Projects</h2>
+${comps}
+
+<footer>For internal use and investor discussions only. ERCOT interconnection outcomes depend on factors not fully captured in this model. Not a guarantee of project outcomes.</footer>
+</body>
+</html>
+`;
+}
+
+export function memoFileName(form, generatedAt = new Date()) {
+  const slug = (form.projectName || form.inr || "project").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return `${slug}-memo-${generatedAt.toISOString().slice(0, 10)}.html`;
+}
@@ -0,0 +1,56 @@
+import { ZONES, TECHS, PHASES } from "./constants.js";
+import { storageConfig } from "./storage.js";
+
+// ─── Withdrawal model ────────────────────────────────────────────────────────
+// A model file is a set of weights over the encoded features below.
+//   type "additive": wd = intercept + Σ w·x            (hand-tuned heuristic)
+//   type "logistic": wd = sigmoid(intercept + Σ w·x)   (fitted by scripts/train-model.js)
+
+export const FEATURE_NAMES = [
+  ...PHASES.map(p => `phase=${p.value}`),
+  ...TECHS.map(t => `tech=${t}`),
+  ...ZONES.map(z => `zone=${z}`),
+  "poiCount", "capacity100", "largeCapacity", "smallCapacity",
+  "firmCapacity", "firmAbove50", "energyCommunity", "behindMeter", "yearsInQueue",
+];
+
+export function encodeFeatures(f) {
+  const x = Object.fromEntries(FEATURE_NAMES.map(k => [k, 0]));
+  x[`phase=${f.phase}`]   = 1;
+  x[`tech=${f.techType}`] = 1;
+  x[`zone=${f.zone}`]     = 1;
+  x.poiCount        = f.poiCount;
+  x.capacity100     = f.capacity / 100;
+  x.largeCapacity   = f.capacity > 200 ? 1 : 0;
+  x.smallCapacity   = f.capacity < 50 ? 1 : 0;
+  // Storage sized for peaks counts as firm even when the input says otherwise.
+  const firm = Math.max(f.firmCapacity, storageConfig(f).firmCredit);
+  x.firmCapacity    = firm;
+  x.firmAbove50     = firm > 0.5 ? 1 : 0;
+  x.energyCommunity = f.energyCommunity ? 1 : 0;
+  x.behindMeter     = f.behindMeter ? 1 : 0;
+  x.yearsInQueue    = f.daysInQueue / 365;
+  return x;
+}
+
+export const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+export function linearScore(model, x) {
+  let z = model.intercept;
+  for (const [k, w] of Object.entries(model.weights)) z += w * (x[k] || 0);
+  return z;
+}
+
+// Raw model output, before the predictor's [0.03, 0.97] clamp.
+export function withdrawalProbability(model, f) {
+  const z = linearScore(model, encodeFeatures(f));
+  return model.type === "logistic" ? sigmoid(z) : z;
+}
+
+export const modelInfo = model => ({
+  version:   model.version,
+  type:      model.type,
+  trainedAt: model.trainedAt || null,
+  accuracy:  model.metrics?.holdout?.accuracy ?? null,
+  holdoutRows: model.metrics?.holdout?.rows ?? null,
+});
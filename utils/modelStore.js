@@ -0,0 +1,39 @@
+import fs from "fs";
+import path from "path";
+
+// ─── Model files (server-only) ───────────────────────────────────────────────
+// models/withdrawal-model.json is the active model; every trained version is
+// also kept under models/archive/<version>.json. models/backtest.json holds the
+// latest backtest report.
+
+export const MODEL_DIR = path.join(process.cwd(), "models");
+const ACTIVE_PATH = path.join(MODEL_DIR, "withdrawal-model.json");
+const BACKTEST_PATH = path.join(MODEL_DIR, "backtest.json");
+
+let cache = null, cacheMtime = 0;
+
+export function loadModel() {
+  const mtime = fs.statSync(ACTIVE_PATH).mtimeMs;
+  if (!cache || mtime !== cacheMtime) {
+    cache = JSON.parse(fs.readFileSync(ACTIVE_PATH, "utf8"));
+    cacheMtime = mtime;
+  }
+  return cache;
+}
+
+export function saveModel(model) {
+  const json = JSON.stringify(model, null, 2);
+  fs.mkdirSync(path.join(MODEL_DIR, "archive"), { recursive:true });
+  fs.writeFileSync(path.join(MODEL_DIR, "archive", `${model.version}.json`), json);
+  fs.writeFileSync(ACTIVE_PATH, json);
+  cache = null;
+}
+
+export function loadBacktest() {
+  if (!fs.existsSync(BACKTEST_PATH)) return null;
+  return JSON.parse(fs.readFileSync(BACKTEST_PATH, "utf8"));
+}
+
+export function saveBacktest(report) {
+  fs.writeFileSync(BACKTEST_PATH, JSON.stringify(report, null, 2));
+}
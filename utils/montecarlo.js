@@ -0,0 +1,106 @@
+import { mulberry32, normal, seedFrom } from "./random.js";
+
+// ─── Monte Carlo queue simulation ────────────────────────────────────────────
+// Each replicate perturbs the model's withdrawal probability (logit-normal) and
+// then walks `paths` projects quarter by quarter through their remaining study
+// stages, sampling stage durations and withdrawal events. The p10/p50/p90 of
+// the per-replicate cumulative withdrawal share form the chart bands.
+
+// Typical months spent in each stage that ends at the next milestone, and the
+// relative share of withdrawals that happen there (early stages shed the most).
+export const STAGE_MONTHS = { 0:6, 1:4, 2:10, 3:6 };
+const STAGE_WEIGHT = { 0:4, 1:3, 2:2, 3:1.5 };
+export const DURATION_SD = 0.35;   // lognormal spread of each stage's length
+
+const QUARTERS    = 12;
+const WD_LOGIT_SD = 0.35;
+const Z90         = 1.2816;
+
+const logit = p => Math.log(p / (1 - p));
+const expit = z => 1 / (1 + Math.exp(-z));
+
+export function quantile(sorted, q) {
+  const i = (sorted.length - 1) * q;
+  const lo = Math.floor(i), hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+// Closed-form P10/P90 of a sum of independent lognormals, for callers that
+// only need the range and not the draws. The sum is matched by mean and
+// variance to a single lognormal (Fenton–Wilkinson); `terms` are { mean, sd }
+// with `sd` on the log scale, and `scaleSd` is a median-1 factor on the total.
+export function lognormalSumRange(terms, scaleSd = 0) {
+  const mean = terms.reduce((a, t) => a + t.mean, 0);
+  if (!(mean > 0)) return { p10:0, p90:0 };
+  const variance = terms.reduce((a, t) => a + t.mean * t.mean * (Math.exp(t.sd * t.sd) - 1), 0);
+  const s2    = Math.log(1 + variance / (mean * mean));
+  const mu    = Math.log(mean) - s2 / 2;
+  const sigma = Math.sqrt(s2 + scaleSd * scaleSd);
+  return { p10:Math.exp(mu - Z90 * sigma), p90:Math.exp(mu + Z90 * sigma) };
+}
+
+// Stages still ahead of the project. IA-signed projects are modelled as one
+// post-IA stage covering the rest of the predicted timeline.
+function remainingStages(phase, timeline) {
+  if (phase >= 4) return [{ months:timeline, weight:1 }];
+  const stages = [];
+  for (let k = phase; k < 4; k++) stages.push({ months:STAGE_MONTHS[k], weight:STAGE_WEIGHT[k] });
+  const scale = timeline / stages.reduce((a, s) => a + s.months, 0);
+  return stages.map(s => ({ ...s, months:s.months * scale }));
+}
+
+export function simulateWithdrawalPaths(f, wd, timeline, { replicates = 200, paths = 50, seed } = {}) {
+  const rand    = mulberry32(seed ?? seedFrom([f, wd, timeline]));
+  const stages  = remainingStages(f.phase, timeline);
+  const totalW  = stages.reduce((a, s) => a + s.weight, 0);
+  const bands   = Array.from({ length:QUARTERS }, () => []);
+
+  for (let r = 0; r < replicates; r++) {
+    const wdR = expit(logit(Math.min(0.99, Math.max(0.01, wd))) + normal(rand) * WD_LOGIT_SD);
+    // Per-stage survival so that surviving every stage has probability 1 − wdR.
+    const stageSurvival = stages.map(s => Math.pow(1 - wdR, s.weight / totalW));
+    const withdrawnBy   = Array(QUARTERS).fill(0);
+
+    for (let p = 0; p < paths; p++) {
+      let stage = 0;
+      let stageEnd = stages[0].months * Math.exp(normal(rand) * DURATION_SD);
+      let stageLen = stageEnd;
+
+      for (let q = 0; q < QUARTERS; q++) {
+        const month = (q + 1) * 3;
+        let withdrawn = false;
+        // Advance through stages, testing a withdrawal for the time spent in each.
+        let t = month - 3;
+        while (stage < stages.length && t < month) {
+          const span = Math.min(month, stageEnd) - t;
+          const hazard = 1 - Math.pow(stageSurvival[stage], span / stageLen);
+          if (rand() < hazard) { withdrawn = true; break; }
+          t += span;
+          if (t >= stageEnd) {
+            stage++;
+            if (stage < stages.length) {
+              stageLen  = stages[stage].months * Math.exp(normal(rand) * DURATION_SD);
+              stageEnd += stageLen;
+            }
+          }
+        }
+        if (withdrawn) {
+          for (let k = q; k < QUARTERS; k++) withdrawnBy[k]++;
+          break;
+        }
+        if (stage >= stages.length) break;
+      }
+    }
+    withdrawnBy.forEach((n, q) => bands[q].push(n / paths));
+  }
+
+  return bands.map((draws, q) => {
+    const sorted = draws.sort((a, b) => a - b);
+    return {
+      month: `M${(q + 1) * 3}`,
+      low:   +quantile(sorted, 0.1).toFixed(3),
+      mid:   +quantile(sorted, 0.5).toFixed(3),
+      high:  +quantile(sorted, 0.9).toFixed(3),
+    };
+  });
+}
@@ -0,0 +1,18 @@
+import { PHASES } from "./constants.js";
+
+// ─── Risk assessment copy ────────────────────────────────────────────────────
+// Shared by the predictor's risk card and the exported investor memo.
+
+export const riskLevel = wd => wd > 0.5 ? "HIGH RISK" : wd > 0.3 ? "MODERATE" : "LOW RISK";
+
+export function riskNarrative(f, r) {
+  const pct   = (r.wd*100).toFixed(0);
+  const phase = PHASES[f.phase]?.label;
+  if (r.wd > 0.5) {
+    return `This project carries elevated withdrawal risk at ${pct}%. The ${f.zone} zone congestion (${f.poiCount} co-located projects) and ${phase} phase position drive this exposure. Projected ${r.timeline}-month timeline and $${r.cost}M upgrade costs ${r.irrHit == null ? "leave the project without a positive return" : `represent meaningful IRR headwinds of ${r.irrHit}%`}.`;
+  }
+  if (r.wd > 0.3) {
+    return `Moderate risk profile at ${pct}% withdrawal probability. ${f.zone} zone POI congestion with ${f.poiCount} co-located projects adds queue pressure. Timeline of ${r.timeline} months and $${r.cost}M costs are within typical range.`;
+  }
+  return `Strong fundamentals with only ${pct}% withdrawal risk. ${phase} phase provides queue stability. Expected ${r.timeline}-month completion and $${r.cost}M upgrade costs are favorable relative to comparable ${f.zone} projects.`;
+}
@@ -0,0 +1,98 @@
+import { PHASES } from "./constants.js";
+
+// ─── Points of interconnection ───────────────────────────────────────────────
+// Groups queued projects by POI so congestion comes from the imported GIS
+// report rather than a hand-entered count. Reports spell the same substation
+// several ways ("Bearkat 345kV", "BEARKAT 345 KV SUB"), so names are keyed on
+// a loose normal form.
+
+export const poiKey = s => String(s ?? "")
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, " ")
+  .replace(/(\d+) kv\b/g, "$1kv")
+  .replace(/\b(substation|sub|switching station|switchyard)\b/g, "")
+  .replace(/\s+/g, " ")
+  .trim();
+
+const isActive = p => p.outcome !== "Withdrawn";
+
+export function groupPois(projects) {
+  const groups = new Map();
+  for (const p of projects) {
+    const key = poiKey(p.poi);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, { key, poi:p.poi, projects:[] });
+    groups.get(key).projects.push(p);
+  }
+  return groups;
+}
+
+const mode = values => {
+  const counts = new Map();
+  for (const v of values) if (v) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+};
+
+// Co-located count for a project at this POI: the other active projects plus
+// itself, so a new project at a POI with three queued neighbours gets 4.
+export const colocatedCount = (group, inr = "") =>
+  group.projects.filter(p => isActive(p) && p.inr !== inr).length + 1;
+
+export function poiSummary(group) {
+  const active = group.projects.filter(isActive);
+  return {
+    poi:       group.poi,
+    county:    mode(group.projects.map(p => p.county)),
+    zone:      mode(group.projects.map(p => p.zone)),
+    active:    active.length,
+    activeMw:  Math.round(active.reduce((a, p) => a + (p.capacity || 0), 0)),
+    withdrawn: group.projects.length - active.length,
+  };
+}
+
+// Summary plus the competing projects and how far each study phase has got.
+// `inr` is the project being assessed; it is left out of the competitor list.
+export function poiDetail(group, inr = "") {
+  const key = String(inr || "").trim().toUpperCase();
+  const competing = group.projects
+    .filter(p => isActive(p) && p.inr !== key)
+    .sort((a, b) => b.phase - a.phase || b.capacity - a.capacity);
+  return {
+    ...poiSummary(group),
+    poiCount: colocatedCount(group, key),
+    phases: PHASES.map(ph => {
+      const at = competing.filter(p => p.phase === ph.value);
+      return { phase:ph.value, label:ph.short, count:at.length, mw:Math.round(at.reduce((a, p) => a + (p.capacity || 0), 0)) };
+    }),
+    competing: competing.map(p => ({
+      inr:p.inr, projectName:p.projectName, techType:p.techType, capacity:p.capacity,
+      phase:p.phase, outcome:p.outcome, county:p.county,
+    })),
+  };
+}
+
+// POIs whose name contains `q`, most congested first.
+export function searchPois(projects, q, limit = 20) {
+  const needle = poiKey(q);
+  return [...groupPois(projects).values()]
+    .filter(g => !needle || g.key.includes(needle))
+    .map(poiSummary)
+    .sort((a, b) => b.active - a.active || b.activeMw - a.activeMw)
+    .slice(0, limit);
+}
+
+// Grouping is kept per projects array, so scoring many rows against the same
+// loaded queue groups it once.
+const poiIndex = new WeakMap();
+
+export function findPoi(projects, name) {
+  if (!poiIndex.has(projects)) poiIndex.set(projects, groupPois(projects));
+  return poiIndex.get(projects).get(poiKey(name)) || null;
+}
+
+// Fills a blank poiCount from the queue when the POI is known there.
+export function withPoiCount(input, projects) {
+  if (!input?.poi || (input.poiCount ?? "") !== "") return input;
+  const group = findPoi(projects, input.poi);
+  return group ? { ...input, poiCount:colocatedCount(group, String(input.inr || "").trim().toUpperCase()) } : input;
+}
@@ -0,0 +1,172 @@
+// ─── Saved project portfolio (browser localStorage) ──────────────────────────
+// Each project keeps its latest inputs and every prediction run against it.
+// Runs store the headline outputs only; charts are rebuilt by re-running.
+
+const STORAGE_KEY = "ercot-portfolio-v1";
+
+export const INPUT_FIELDS = [
+  "projectName", "inr", "poi", "capacity", "techType", "phase", "poiCount", "zone",
+  "county", "daysInQueue", "firmCapacity", "energyCommunity", "behindMeter", "costSharing",
+  "capexPerMw", "capacityFactor", "price", "discountRate", "codTargetMonths",
+  "storageMw", "storageMwh", "generationMw", "gridCharging",
+];
+export const OUTPUT_FIELDS = [
+  "wd", "timeline", "tlLow", "tlHigh", "cost", "costLow", "costHigh",
+  "irrHit", "revenueAtRisk", "score",
+];
+
+const pick = (obj, keys) => Object.fromEntries(keys.filter(k => k in obj).map(k => [k, obj[k]]));
+
+export const newId = () => `p_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+
+export function loadPortfolio() {
+  try {
+    const projects = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(projects) ? projects : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+export function savePortfolio(projects) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(projects));
+  } catch (e) {
+    // Quota exceeded or storage disabled; the in-memory portfolio still works.
+  }
+}
+
+export function createProject(inputs, result) {
+  const now = new Date().toISOString();
+  return {
+    id:        newId(),
+    name:      inputs.projectName || "Unnamed",
+    inputs:    pick(inputs, INPUT_FIELDS),
+    runs:      result ? [{ ts:now, inputs:pick(inputs, INPUT_FIELDS), ...pick(result, OUTPUT_FIELDS) }] : [],
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+export function addRun(project, inputs, result) {
+  const now = new Date().toISOString();
+  return {
+    ...project,
+    inputs:    pick(inputs, INPUT_FIELDS),
+    runs:      [...project.runs, { ts:now, inputs:pick(inputs, INPUT_FIELDS), ...pick(result, OUTPUT_FIELDS) }],
+    updatedAt: now,
+  };
+}
+
+export const latestRun = project => project.runs[project.runs.length - 1] || null;
+
+// Flat rows (inputs + latest outputs) for tables and portfolio statistics.
+export function portfolioRows(projects) {
+  return projects
+    .filter(p => p.runs.length)
+    .map(p => {
+      const { inputs, ...outputs } = latestRun(p);
+      return { ...p.inputs, ...outputs, id:p.id, projectName:p.name, runCount:p.runs.length };
+    });
+}
+
+// ─── Table views ─────────────────────────────────────────────────────────────
+// Bands use the same thresholds as the predictor's risk colouring.
+
+export const RISK_BANDS = [
+  { key:"low",      label:"Low (≤30%)",        test:wd => wd <= 0.3 },
+  { key:"moderate", label:"Moderate (30–50%)", test:wd => wd > 0.3 && wd <= 0.5 },
+  { key:"high",     label:"High (>50%)",       test:wd => wd > 0.5 },
+];
+
+// One row per project, scored or not; unscored rows have no output fields.
+export function tableRows(projects) {
+  const scored = new Map(portfolioRows(projects).map(r => [r.id, r]));
+  return projects.map(p => ({
+    ...p.inputs, ...scored.get(p.id),
+    id:p.id, projectName:p.name, runCount:p.runs.length, updatedAt:p.updatedAt,
+  }));
+}
+
+export function filterRows(rows, { search = "", zone = "", county = "", techType = "", band = "" } = {}) {
+  const q = search.trim().toLowerCase();
+  const risk = RISK_BANDS.find(b => b.key === band);
+  return rows.filter(r =>
+    (!q || r.projectName.toLowerCase().includes(q) || String(r.inr ?? "").toLowerCase().includes(q))
+    && (!zone || r.zone === zone)
+    && (!county || r.county === county)
+    && (!techType || r.techType === techType)
+    && (!risk || (typeof r.wd === "number" && risk.test(r.wd))));
+}
+
+export function renameProject(project, name) {
+  return {
+    ...project, name,
+    inputs:    { ...project.inputs, projectName:name },
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+// ─── Export / import ─────────────────────────────────────────────────────────
+// JSON is the lossless round-trip format; CSV and XLSX are flat views for
+// spreadsheets (one row per project, plus a per-run sheet in XLSX).
+
+const EXPORT_FORMAT = "ercot-portfolio";
+const EXPORT_VERSION = 1;
+
+export const EXPORT_COLUMNS = ["id", ...INPUT_FIELDS, ...OUTPUT_FIELDS, "runCount", "lastRun", "createdAt", "updatedAt"];
+const RUN_COLUMNS = ["id", "projectName", "ts", ...INPUT_FIELDS.filter(k => k !== "projectName"), ...OUTPUT_FIELDS];
+
+export function exportRows(projects) {
+  return projects.map(p => {
+    const last = latestRun(p);
+    return {
+      id:p.id, ...p.inputs, projectName:p.name,
+      ...(last ? pick(last, OUTPUT_FIELDS) : {}),
+      runCount:p.runs.length, lastRun:last?.ts ?? "",
+      createdAt:p.createdAt, updatedAt:p.updatedAt,
+    };
+  });
+}
+
+const runRows = projects => projects.flatMap(p =>
+  p.runs.map(r => ({ id:p.id, projectName:p.name, ts:r.ts, ...r.inputs, ...pick(r, OUTPUT_FIELDS) })));
+
+export function portfolioJson(projects) {
+  return JSON.stringify({
+    format:EXPORT_FORMAT, version:EXPORT_VERSION, exportedAt:new Date().toISOString(), projects,
+  }, null, 2);
+}
+
+export async function portfolioXlsx(projects) {
+  const XLSX = await import("xlsx");
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(exportRows(projects), { header:EXPORT_COLUMNS }), "Portfolio");
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(runRows(projects), { header:RUN_COLUMNS }), "Runs");
+  return XLSX.write(wb, { bookType:"xlsx", type:"array" });
+}
+
+const isObject  = v => !!v && typeof v === "object" && !Array.isArray(v);
+const isProject = p => isObject(p) && typeof p.id === "string" && typeof p.name === "string"
+  && isObject(p.inputs) && Array.isArray(p.runs)
+  && p.runs.every(r => isObject(r) && typeof r.ts === "string" && typeof r.wd === "number" && isObject(r.inputs));
+
+// Throws with a user-facing message when the file is not a portfolio export.
+export function parsePortfolioJson(text) {
+  let data;
+  try { data = JSON.parse(text); }
+  catch (e) { throw new Error("File is not valid JSON"); }
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.projects)) {
+    throw new Error("File is not a portfolio export");
+  }
+  if (data.version > EXPORT_VERSION) throw new Error(`Unsupported portfolio export version ${data.version}`);
+  const bad = data.projects.findIndex(p => !isProject(p));
+  if (bad >= 0) throw new Error(`Project ${bad + 1} in the file is malformed`);
+  // Ids key table rows and the compare selection, so repeats get fresh ones.
+  const seen = new Set();
+  return data.projects.map(p => {
+    const id = seen.has(p.id) ? newId() : p.id;
+    seen.add(id);
+    return id === p.id ? p : { ...p, id };
+  });
+}
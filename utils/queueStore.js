@@ -0,0 +1,63 @@
+import fs from "fs";
+import path from "path";
+
+// ─── Local GIS queue database (server-only) ──────────────────────────────────
+// data/queue.json is written by `npm run import-gis` and read by the API routes.
+// Every import is also kept as data/snapshots/<reportDate>.json so projects can
+// be re-scored across report months.
+
+export const DATA_DIR = path.join(process.cwd(), "data");
+const DB_PATH = path.join(DATA_DIR, "queue.json");
+const SNAPSHOT_DIR = path.join(DATA_DIR, "snapshots");
+
+let cache = null, cacheMtime = 0;
+
+export function loadQueue() {
+  if (!fs.existsSync(DB_PATH)) return { reportDate:null, source:null, projects:[] };
+  const mtime = fs.statSync(DB_PATH).mtimeMs;
+  if (!cache || mtime !== cacheMtime) {
+    cache = JSON.parse(fs.readFileSync(DB_PATH, "utf8"));
+    cacheMtime = mtime;
+  }
+  return cache;
+}
+
+export function saveQueue(db) {
+  fs.mkdirSync(DATA_DIR, { recursive:true });
+  fs.writeFileSync(DB_PATH, JSON.stringify(db, null, 2));
+  cache = null;
+}
+
+export function saveSnapshot(db) {
+  fs.mkdirSync(SNAPSHOT_DIR, { recursive:true });
+  fs.writeFileSync(path.join(SNAPSHOT_DIR, `${db.reportDate}.json`), JSON.stringify(db));
+}
+
+// Report dates of the stored snapshots, oldest first.
+export function listSnapshots() {
+  if (!fs.existsSync(SNAPSHOT_DIR)) return [];
+  return fs.readdirSync(SNAPSHOT_DIR)
+    .filter(f => /^\d{4}-\d{2}-\d{2}\.json$/.test(f))
+    .map(f => f.slice(0, 10))
+    .sort();
+}
+
+export function loadSnapshot(reportDate) {
+  return JSON.parse(fs.readFileSync(path.join(SNAPSHOT_DIR, `${reportDate}.json`), "utf8"));
+}
+
+export function findProject(inr) {
+  const key = String(inr || "").trim().toUpperCase();
+  return loadQueue().projects.find(p => p.inr === key) || null;
+}
+
+// Matches INR, project name, county and POI; INR prefix hits sort first.
+export function searchQueue(q, limit = 20) {
+  const needle = String(q || "").trim().toLowerCase();
+  const { projects } = loadQueue();
+  if (!needle) return projects.slice(0, limit);
+  return projects
+    .filter(p => [p.inr, p.projectName, p.county, p.poi].some(v => String(v || "").toLowerCase().includes(needle)))
+    .sort((a, b) => b.inr.toLowerCase().startsWith(needle) - a.inr.toLowerCase().startsWith(needle))
+    .slice(0, limit);
+}
@@ -0,0 +1,50 @@
+import { storageConfig } from "./storage.js";
+
+// ─── What-if scenarios ───────────────────────────────────────────────────────
+// Each preset is a set of input changes; the deltas come from re-running the
+// model on the changed inputs, so they reflect this particular project.
+
+export function presetScenarios(f) {
+  const presets = [];
+  const reduced = Math.round(f.capacity * 0.85);
+  if (reduced >= 1 && reduced < f.capacity) {
+    presets.push({ label:`Reduce capacity to ${reduced} MW`, changes:{ capacity:reduced } });
+  }
+  if (f.poiCount > 1) {
+    const poi = Math.max(1, Math.min(4, f.poiCount - 1));
+    presets.push({ label:`Move to alternate POI (${poi} co-located)`, changes:{ poiCount:poi } });
+  }
+  presets.push(f.energyCommunity
+    ? { label:"Lose energy community eligibility", changes:{ energyCommunity:false } }
+    : { label:"Add energy community eligibility",  changes:{ energyCommunity:true } });
+  const s = storageConfig(f);
+  if (!s.hasStorage) {
+    const mw = Math.max(1, Math.round(f.capacity * 0.5));
+    presets.push({ label:`Add ${mw} MW / ${mw * 4} MWh storage (Hybrid)`,
+      changes:{ techType:"Hybrid", storageMw:mw, storageMwh:mw * 4, generationMw:f.capacity } });
+  } else if (s.durationHours < 4) {
+    presets.push({ label:`Extend storage to 4 h (${Math.round(s.storageMw * 4)} MWh)`,
+      changes:{ storageMw:s.storageMw, storageMwh:s.storageMw * 4 } });
+  }
+  if (s.gridCharging && s.generationMw > 0) {
+    presets.push({ label:"Charge storage from co-located generation only", changes:{ gridCharging:false } });
+  }
+  return presets;
+}
+
+export function compareScenario(base, next) {
+  return {
+    wdDelta:    +(next.wd - base.wd).toFixed(4),
+    costDelta:  +(next.cost - base.cost).toFixed(2),
+    tlDelta:    +(next.timeline - base.timeline).toFixed(1),
+    scoreDelta: next.score - base.score,
+  };
+}
+
+// `evaluate` maps a feature object to at least { wd, timeline, cost, score }.
+export function runScenarios(f, base, evaluate) {
+  return presetScenarios(f).map(s => ({
+    ...s,
+    ...compareScenario(base, evaluate({ ...f, ...s.changes })),
+  }));
+}
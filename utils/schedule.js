@@ -0,0 +1,91 @@
+import { mulberry32, normal, seedFrom } from "./random.js";
+import { STAGE_MONTHS, DURATION_SD, quantile, lognormalSumRange } from "./montecarlo.js";
+import { BUILD_MONTHS, financeInputs } from "./finance.js";
+
+// ─── Milestone schedule ──────────────────────────────────────────────────────
+// Splits the predicted months-to-IA across the study stages still ahead of the
+// project, then adds construction to COD. The current stage is shortened by
+// the time `daysInQueue` says has already been spent in it. Each stage length
+// is sampled lognormally, so milestone dates come with P10–P90 ranges.
+
+export const SCHEDULE_STAGES = [
+  { key:"screening",  label:"Screening",      milestone:"Screening complete", from:0 },
+  { key:"fisRequest", label:"FIS request",    milestone:"FIS start",          from:1 },
+  { key:"fis",        label:"FIS",            milestone:"FIS complete",       from:2 },
+  { key:"ia",         label:"IA negotiation", milestone:"IA signed",          from:3 },
+];
+
+const BUILD_SD     = 0.2;
+const DRAWS        = 1000;
+const MONTH_DAYS   = 30.44;
+const MIN_RESIDUAL = 0.25;   // share of a stage left however long it has run
+
+const addMonths = (start, m) => new Date(start.getTime() + m * MONTH_DAYS * 86400000).toISOString().slice(0, 10);
+
+// Expected months in each remaining stage, summing to `timeline`. IA-signed
+// projects get one post-IA stage covering the whole timeline.
+export function remainingStageMonths(f, timeline) {
+  const ahead = SCHEDULE_STAGES.filter(s => s.from >= f.phase);
+  if (!ahead.length) return [{ key:"postIa", label:"Post-IA requirements", milestone:"Notice to proceed", months:timeline }];
+  const priorMonths = SCHEDULE_STAGES.filter(s => s.from < f.phase).reduce((a, s) => a + STAGE_MONTHS[s.from], 0);
+  const inStage     = Math.max(0, f.daysInQueue / MONTH_DAYS - priorMonths);
+  const nominal = ahead.map((s, i) => {
+    const typical = STAGE_MONTHS[s.from];
+    return i === 0 ? Math.max(typical * MIN_RESIDUAL, typical - inStage) : typical;
+  });
+  const scale = timeline / nominal.reduce((a, m) => a + m, 0);
+  return ahead.map((s, i) => ({ key:s.key, label:s.label, milestone:s.milestone, months:nominal[i] * scale }));
+}
+
+// P10/P90 months to IA, matching the schedule's IA milestone without the draws.
+export function iaRange(f, timeline) {
+  const { p10, p90 } = lognormalSumRange(remainingStageMonths(f, timeline).map(s => ({ mean:s.months, sd:DURATION_SD })));
+  return { p10:+p10.toFixed(1), p90:+p90.toFixed(1) };
+}
+
+// `start` is the date the schedule counts from (today by default).
+export function milestoneSchedule(f, timeline, { start = new Date(), seed } = {}) {
+  const stages = [
+    ...remainingStageMonths(f, timeline),
+    { key:"build", label:"Construction", milestone:"COD", months:BUILD_MONTHS },
+  ];
+  const codTarget = financeInputs(f).codTargetMonths;
+  const rand = mulberry32(seed ?? seedFrom([f, timeline, "schedule"]));
+
+  // Per draw: each stage's length and the month its milestone lands. COD can
+  // not come before the target, so construction starts late if IA is early.
+  const lengths = stages.map(() => []), ends = stages.map(() => []);
+  for (let d = 0; d < DRAWS; d++) {
+    let t = 0;
+    stages.forEach((s, i) => {
+      const sd  = s.key === "build" ? BUILD_SD : DURATION_SD;
+      const len = s.months * Math.exp(normal(rand) * sd - sd * sd / 2);
+      const end = s.key === "build" ? Math.max(codTarget, t + len) : t + len;
+      lengths[i].push(len);
+      ends[i].push(end);
+      t = end;
+    });
+  }
+
+  const round = v => +v.toFixed(1);
+  let prevEnd = 0;
+  const phases = stages.map((s, i) => {
+    const len = lengths[i].sort((a, b) => a - b);
+    const end = ends[i].sort((a, b) => a - b);
+    const endAt = { p10:round(quantile(end, 0.1)), p50:round(quantile(end, 0.5)), p90:round(quantile(end, 0.9)) };
+    const expected = round(len.reduce((a, v) => a + v, 0) / DRAWS);
+    const from     = s.key === "build" ? Math.max(prevEnd, round(endAt.p50 - expected)) : prevEnd;
+    const phase = {
+      key:s.key, label:s.label, milestone:s.milestone,
+      months:    { expected, p10:round(quantile(len, 0.1)), p90:round(quantile(len, 0.9)) },
+      start:     from,
+      startDate: addMonths(start, from),
+      end:       endAt,
+      endDate:   { p10:addMonths(start, endAt.p10), p50:addMonths(start, endAt.p50), p90:addMonths(start, endAt.p90) },
+    };
+    prevEnd = endAt.p50;
+    return phase;
+  });
+
+  return { asOf:start.toISOString().slice(0, 10), codTarget, codTargetDate:addMonths(start, codTarget), phases };
+}
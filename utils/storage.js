@@ -0,0 +1,43 @@
+// ─── Storage and hybrid configuration ────────────────────────────────────────
+// `capacity` stays the interconnection (POI) MW. Storage MW/MWh and the
+// co-located generation MW describe what sits behind it. A Battery with no
+// sizes entered is taken as stand-alone storage at full capacity and 2 hours.
+
+export const STORAGE_TECHS = ["Battery", "Hybrid"];
+
+const DEFAULT_DURATION  = 2;   // hours
+const FULL_CREDIT_HOURS = 4;   // duration that earns full firm-capacity credit
+
+export function storageConfig(f) {
+  const battery      = f.techType === "Battery";
+  const storageMw    = f.storageMw || (battery ? f.capacity : 0);
+  const storageMwh   = f.storageMwh || storageMw * DEFAULT_DURATION;
+  const generationMw = f.generationMw ?? (battery ? 0 : f.capacity);
+  const duration     = storageMw ? storageMwh / storageMw : 0;
+  const hasStorage   = storageMw > 0;
+  return {
+    storageMw, storageMwh, generationMw, hasStorage,
+    durationHours: +duration.toFixed(2),
+    storageShare:  hasStorage ? +(storageMw / (storageMw + generationMw)).toFixed(3) : 0,
+    gridCharging:  hasStorage && !!f.gridCharging,
+    // What the configuration amounts to, whatever the technology label says.
+    tech:          hasStorage ? (generationMw > 0 ? "Hybrid" : "Battery") : f.techType,
+    // Share of the POI capacity storage can hold through a peak.
+    firmCredit:    +(Math.min(storageMw, f.capacity) * Math.min(1, duration / FULL_CREDIT_HOURS) / f.capacity).toFixed(3),
+  };
+}
+
+// Shift to the withdrawal log-odds. Storage that can firm co-located generation
+// stacks revenues and steadies the project; charging from the grid adds a load
+// interconnection study on top of the generation one.
+export function storageRiskShift(s) {
+  if (!s.hasStorage) return 0;
+  const hybrid = s.generationMw > 0 ? -0.3 * s.storageShare * Math.min(1, s.durationHours / FULL_CREDIT_HOURS) : 0;
+  return hybrid + (s.gridCharging ? 0.15 : 0);
+}
+
+export const GRID_CHARGING_MONTHS = 2;
+
+export const storageLabel = s => s.hasStorage
+  ? `${Math.round(s.storageMw)} MW / ${Math.round(s.storageMwh)} MWh (${s.durationHours}h)`
+  : "None";
@@ -0,0 +1,73 @@
+import { FEATURE_NAMES, encodeFeatures, linearScore, sigmoid } from "./model.js";
+import { mulberry32, shuffle } from "./random.js";
+
+// ─── Logistic regression fit ─────────────────────────────────────────────────
+// Full-batch gradient descent with L2 on standardised features; the weights are
+// mapped back to raw feature units so model files stay directly readable.
+
+export function parseLabel(v) {
+  if (/^(1|true|yes|y|withdrawn)$/i.test(v))          return 1;
+  if (/^(0|false|no|n|active|ia signed|ia)$/i.test(v)) return 0;
+  return null;
+}
+
+export function splitHoldout(rows, holdout = 0.2, seed = 42) {
+  const shuffled = shuffle(rows, mulberry32(seed));
+  const n = Math.round(shuffled.length * holdout);
+  return { train:shuffled.slice(n), test:shuffled.slice(0, n) };
+}
+
+export function fitLogistic(rows, { iterations = 3000, learningRate = 0.5, l2 = 1e-2 } = {}) {
+  const X = rows.map(r => {
+    const x = encodeFeatures(r.features);
+    return FEATURE_NAMES.map(k => x[k]);
+  });
+  const y = rows.map(r => r.label);
+  const n = X.length, d = FEATURE_NAMES.length;
+
+  const mean = Array(d).fill(0), sd = Array(d).fill(0);
+  for (const x of X) x.forEach((v, j) => { mean[j] += v / n; });
+  for (const x of X) x.forEach((v, j) => { sd[j] += (v - mean[j]) ** 2 / n; });
+  for (let j = 0; j < d; j++) sd[j] = Math.sqrt(sd[j]);
+  const Z = X.map(x => x.map((v, j) => sd[j] > 0 ? (v - mean[j]) / sd[j] : 0));
+
+  let b = 0;
+  const w = Array(d).fill(0);
+  for (let it = 0; it < iterations; it++) {
+    const gw = Array(d).fill(0);
+    let gb = 0;
+    for (let i = 0; i < n; i++) {
+      let z = b;
+      for (let j = 0; j < d; j++) z += w[j] * Z[i][j];
+      const err = sigmoid(z) - y[i];
+      gb += err / n;
+      for (let j = 0; j < d; j++) gw[j] += err * Z[i][j] / n;
+    }
+    b -= learningRate * gb;
+    for (let j = 0; j < d; j++) w[j] -= learningRate * (gw[j] + l2 * w[j]);
+  }
+
+  const weights = {};
+  let intercept = b;
+  FEATURE_NAMES.forEach((k, j) => {
+    if (sd[j] === 0) return;
+    weights[k]  = +(w[j] / sd[j]).toFixed(6);
+    intercept  -= w[j] * mean[j] / sd[j];
+  });
+  return { type:"logistic", intercept:+intercept.toFixed(6), weights };
+}
+
+export function evaluate(model, rows, threshold = 0.5) {
+  let correct = 0, logLoss = 0;
+  for (const r of rows) {
+    const p = Math.min(1 - 1e-9, Math.max(1e-9, sigmoid(linearScore(model, encodeFeatures(r.features)))));
+    if ((p >= threshold ? 1 : 0) === r.label) correct++;
+    logLoss -= r.label ? Math.log(p) : Math.log(1 - p);
+  }
+  return {
+    rows:     rows.length,
+    accuracy: rows.length ? +(correct / rows.length).toFixed(4) : null,
+    logLoss:  rows.length ? +(logLoss / rows.length).toFixed(4) : null,
+    positiveRate: rows.length ? +(rows.filter(r => r.label).length / rows.length).toFixed(4) : null,
+  };
+}
@@ -0,0 +1,136 @@
+import { mulberry32, normal, seedFrom } from "./random.js";
+import { findPoi } from "./poi.js";
+import { quantile, lognormalSumRange } from "./montecarlo.js";
+import { storageConfig } from "./storage.js";
+
+// ─── Network upgrade cost ────────────────────────────────────────────────────
+// The point estimate is a sum of drivers in $M. Substation work (set by the
+// voltage level) and POI congestion are upgrades every project at the POI
+// needs, so with cost sharing on they are split by MW with the queued projects
+// there that have not yet signed an IA. The distribution puts a lognormal
+// error on each driver plus a common study-scope error that narrows as the
+// project moves through the studies.
+
+export const VOLTAGE_BASE = { 69:1.2, 138:2.0, 345:3.0 };   // $M substation work per tier
+
+export const COST_DRIVERS = [
+  { key:"voltage",    label:"Voltage level",  shared:true,  sd:0.25 },
+  { key:"capacity",   label:"Capacity",       shared:false, sd:0.15 },
+  { key:"congestion", label:"POI congestion", shared:true,  sd:0.45 },
+  { key:"zone",       label:"Zone",           shared:false, sd:0.30 },
+  { key:"storage",    label:"Storage",        shared:false, sd:0.30 },
+];
+
+// Common error by study phase (SCR … IA): later studies have firmer scopes.
+const SCOPE_SD = [0.35, 0.30, 0.20, 0.12, 0.06];
+const MIN_COST = 0.5, MAX_COST = 30;
+const DRAWS    = 2000;
+const BINS     = 16;
+const Z90      = 1.2816;
+
+// kV from the POI name ("Big Spring 345kV"), else a tier typical for the size.
+export function voltageLevel(f) {
+  const m = String(f.poi ?? "").match(/(\d{2,3})\s*kv/i);
+  if (m) {
+    const kv = +m[1];
+    return { kv: kv <= 100 ? 69 : kv <= 200 ? 138 : 345, source:"poi" };
+  }
+  return { kv: f.capacity >= 300 ? 345 : f.capacity >= 50 ? 138 : 69, source:"capacity" };
+}
+
+// Storage adds metering and protection; grid charging also needs load-side
+// upgrades sized to the charging MW.
+function driverCosts(f) {
+  const { kv } = voltageLevel(f);
+  const s = storageConfig(f);
+  return {
+    voltage:    VOLTAGE_BASE[kv],
+    capacity:   f.capacity * 0.045,
+    congestion: f.poiCount * 0.28,
+    zone:       f.zone === "WEST" ? 1.2 : 0,
+    storage:    s.storageMw * 0.008 + (s.gridCharging ? s.storageMw * 0.02 : 0),
+  };
+}
+
+// Scales raw driver costs so they add up to the clamped total.
+function clampTotal(costs) {
+  const raw   = Object.values(costs).reduce((a, v) => a + v, 0);
+  const total = Math.max(MIN_COST, Math.min(MAX_COST, raw));
+  return { total, scale: raw > 0 ? total / raw : 1 };
+}
+
+// `share` is the fraction of the shared drivers this project pays (1 = alone).
+export function upgradeCost(f, { share = 1 } = {}) {
+  const costs = driverCosts(f);
+  for (const d of COST_DRIVERS) if (d.shared) costs[d.key] *= share;
+  const { total, scale } = clampTotal(costs);
+  return {
+    total,
+    drivers: COST_DRIVERS.map(d => {
+      const cost = costs[d.key] * scale;
+      return {
+        key:d.key, label:d.label, shared:d.shared,
+        cost:  +cost.toFixed(2),
+        pct:   +(cost / total * 100).toFixed(1),
+        low:   +(cost * Math.exp(-Z90 * d.sd)).toFixed(2),
+        high:  +(cost * Math.exp(Z90 * d.sd)).toFixed(2),
+      };
+    }),
+  };
+}
+
+// Queued projects at the same POI that would split the shared upgrades.
+export function costSharing(f, projects) {
+  const group = findPoi(projects, f.poi);
+  const inr   = String(f.inr ?? "").trim().toUpperCase();
+  const peers = group ? group.projects.filter(p => p.outcome === "Active" && p.phase < 4 && p.inr !== inr) : [];
+  const peerMw = peers.reduce((a, p) => a + (p.capacity || 0), 0);
+  return {
+    participants: peers.length + 1,
+    peerMw:       Math.round(peerMw),
+    share:        +(f.capacity / (f.capacity + peerMw)).toFixed(4),
+  };
+}
+
+// P10/P90 of the distribution below without the draws, for batch scoring.
+export function costRange(f, { share = 1 } = {}) {
+  const costs = driverCosts(f);
+  for (const d of COST_DRIVERS) if (d.shared) costs[d.key] *= share;
+  const { scale } = clampTotal(costs);
+  const terms = COST_DRIVERS.map(d => ({ mean:costs[d.key] * scale * Math.exp(d.sd * d.sd / 2), sd:d.sd }));
+  const { p10, p90 } = lognormalSumRange(terms, SCOPE_SD[f.phase] ?? SCOPE_SD[0]);
+  return { p10:+p10.toFixed(2), p90:+p90.toFixed(2) };
+}
+
+// Seeded Monte Carlo over the driver errors; each driver's median is its point
+// estimate, so the P50 lands close to (a little above) the headline cost.
+export function costDistribution(f, { share = 1 } = {}) {
+  const rand  = mulberry32(seedFrom([f, share, "cost"]));
+  const costs = driverCosts(f);
+  for (const d of COST_DRIVERS) if (d.shared) costs[d.key] *= share;
+  const { scale } = clampTotal(costs);
+  const scopeSd   = SCOPE_SD[f.phase] ?? SCOPE_SD[0];
+
+  const draws = Array.from({ length:DRAWS }, () => {
+    const scope = Math.exp(normal(rand) * scopeSd);
+    const sum = COST_DRIVERS.reduce((a, d) => a + costs[d.key] * scale * Math.exp(normal(rand) * d.sd), 0);
+    return sum * scope;
+  }).sort((a, b) => a - b);
+
+  const lo = quantile(draws, 0.005), hi = quantile(draws, 0.995);
+  const width = (hi - lo) / BINS || 1;
+  const counts = Array(BINS).fill(0);
+  for (const v of draws) counts[Math.max(0, Math.min(BINS - 1, Math.floor((v - lo) / width)))]++;
+
+  const pct = q => +quantile(draws, q).toFixed(2);
+  return {
+    mean: +(draws.reduce((a, v) => a + v, 0) / DRAWS).toFixed(2),
+    p10:pct(0.1), p25:pct(0.25), p50:pct(0.5), p75:pct(0.75), p90:pct(0.9),
+    histogram: counts.map((n, i) => ({
+      from:  +(lo + i * width).toFixed(2),
+      to:    +(lo + (i + 1) * width).toFixed(2),
+      label: `$${(lo + (i + 0.5) * width).toFixed(1)}M`,
+      share: +(n / DRAWS).toFixed(4),
+    })),
+  };
+}
@@ -0,0 +1,156 @@
+import { ZONES, TECHS, PHASES, COUNTIES } from "./constants.js";
+import { canonicalCounty, zoneMismatch, NON_ERCOT_COUNTIES, COUNTY_ZONES } from "./counties.js";
+import { storageConfig } from "./storage.js";
+
+// ─── Predictor input schema ──────────────────────────────────────────────────
+// Shared by the form, the API routes and simulatePrediction. Returns the
+// normalised feature object plus { field, message } errors (which block a run)
+// and warnings (plausibility checks across fields, which do not).
+
+export const NUMBER_RULES = {
+  capacity:        { min:0.1,  max:5000,   required:true },
+  poiCount:        { min:0,    max:200,    required:true, integer:true },
+  daysInQueue:     { min:0,    max:7300,   required:true, integer:true },
+  firmCapacity:    { min:0,    max:1,      default:0.5 },   // also the form's starting value
+  // Economics; null means the technology default in utils/finance.js.
+  capexPerMw:      { min:0.05, max:10,     default:null },
+  capacityFactor:  { min:0.01, max:1,      default:null },
+  price:           { min:1,    max:1000,   default:null },
+  discountRate:    { min:0,    max:0.3,    default:null },
+  codTargetMonths: { min:1,    max:240,    default:null, integer:true },
+  // Storage; see utils/storage.js for how blanks are filled in.
+  storageMw:       { min:0,    max:5000,   default:0 },
+  storageMwh:      { min:0,    max:40000,  default:0 },
+  generationMw:    { min:0,    max:5000,   default:null },
+};
+const BOOLEANS = ["energyCommunity", "behindMeter", "costSharing", "gridCharging"];
+
+// Fewest days in queue that make each study phase plausible (SCR … IA).
+const MIN_DAYS_FOR_PHASE = [0, 45, 120, 240, 365];
+
+// Cross-field sanity checks, run once every field is individually valid.
+export const CROSS_CHECKS = [
+  { field:"firmCapacity", test:f => f.techType === "Battery" && f.firmCapacity === 0,
+    message:"Battery storage is dispatchable; 0% firm capacity is unusual" },
+  { field:"behindMeter", test:f => f.behindMeter && f.capacity > 10,
+    message:"Behind-the-meter projects are rarely over 10 MW" },
+  { field:"daysInQueue", test:f => f.daysInQueue < MIN_DAYS_FOR_PHASE[f.phase],
+    message:f => `${PHASES[f.phase].label} is rarely reached within ${MIN_DAYS_FOR_PHASE[f.phase]} days in queue` },
+  { field:"capacityFactor", test:f => f.techType === "Solar" && f.capacityFactor > 0.35,
+    message:"Solar capacity factors above 35% are unusual in ERCOT" },
+  { field:"county", test:f => NON_ERCOT_COUNTIES.includes(f.county),
+    message:f => `${f.county} county is outside the ERCOT footprint` },
+  { field:"county", test:f => f.county !== "Other" && !NON_ERCOT_COUNTIES.includes(f.county) && !COUNTY_ZONES[f.county],
+    message:f => `"${f.county}" is not a Texas county` },
+  { field:"zone", test:f => zoneMismatch(f),
+    message:f => `${f.county} county is in the ${zoneMismatch(f)} zone` },
+  { field:"storageMw", test:f => f.techType === "Hybrid" && !f.storageMw,
+    message:"Hybrid projects need a storage size" },
+  { field:"storageMw", test:f => f.storageMw > 0 && !["Battery", "Hybrid"].includes(f.techType),
+    message:f => `${f.techType} with storage is modelled as a hybrid; consider Technology = Hybrid` },
+  { field:"storageMw", test:f => f.storageMw > f.capacity,
+    message:"Storage MW above the interconnection capacity will be export-limited" },
+  { field:"storageMwh", test:f => f.storageMwh > 0 && !storageConfig(f).hasStorage,
+    message:"MWh entered without a storage MW size" },
+  { field:"storageMwh", test:f => storageConfig(f).durationHours > 8,
+    message:"Battery durations over 8 hours are unusual" },
+  { field:"gridCharging", test:f => { const s = storageConfig(f); return s.hasStorage && !s.generationMw && !f.gridCharging; },
+    message:"Stand-alone storage normally charges from the grid" },
+];
+
+export const sanityWarnings = f => CROSS_CHECKS
+  .filter(c => c.test(f))
+  .map(c => ({ field:c.field, message:typeof c.message === "function" ? c.message(f) : c.message }));
+
+export function validateFeatures(input) {
+  const errors = [];
+  const add = (field, message) => errors.push({ field, message });
+
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    add("body", "Expected a JSON object of project features");
+    return { features:null, errors, warnings:[] };
+  }
+
+  const features = {
+    projectName: String(input.projectName ?? "").slice(0, 200),
+    inr:         String(input.inr ?? "").slice(0, 20),
+    poi:         String(input.poi ?? "").slice(0, 100),
+    county:      canonicalCounty(input.county) ?? String(input.county ?? "Other"),
+  };
+
+  for (const [field, rule] of Object.entries(NUMBER_RULES)) {
+    const v = input[field];
+    if (v === undefined || v === null || v === "") {
+      if (rule.required) add(field, "is required");
+      else features[field] = rule.default;
+      continue;
+    }
+    if (typeof v !== "number" || !Number.isFinite(v)) add(field, "must be a number");
+    else if (rule.integer && !Number.isInteger(v))    add(field, "must be a whole number");
+    else if (v < rule.min || v > rule.max)            add(field, `must be between ${rule.min} and ${rule.max}`);
+    else features[field] = v;
+  }
+
+  if (!Number.isInteger(input.phase) || !PHASES.some(p => p.value === input.phase))
+    add("phase", `must be one of ${PHASES.map(p => p.value).join(", ")}`);
+  else features.phase = input.phase;
+
+  if (!TECHS.includes(input.techType)) add("techType", `must be one of ${TECHS.join(", ")}`);
+  else features.techType = input.techType;
+
+  if (!ZONES.includes(input.zone)) add("zone", `must be one of ${ZONES.join(", ")}`);
+  else features.zone = input.zone;
+
+  for (const field of BOOLEANS) {
+    const v = input[field] ?? false;
+    if (typeof v !== "boolean") add(field, "must be true or false");
+    else features[field] = v;
+  }
+
+  if (errors.length) return { features:null, errors, warnings:[] };
+  return { features, errors, warnings:sanityWarnings(features) };
+}
+
+// Repairs loosely-typed input (such as URL query strings) instead of rejecting
+// it: numbers are parsed and clamped, unknown choices fall back to `defaults`.
+// Returns the repaired features plus the names of the fields that were fixed.
+export function sanitizeFeatures(input, defaults) {
+  const features = { ...defaults }, fixed = [];
+  const has = k => input[k] !== undefined && input[k] !== null && input[k] !== "";
+
+  for (const [field, rule] of Object.entries(NUMBER_RULES)) {
+    if (!has(field)) continue;
+    let v = typeof input[field] === "number" ? input[field] : parseFloat(input[field]);
+    if (!Number.isFinite(v)) { fixed.push(field); continue; }
+    const repaired = Math.min(rule.max, Math.max(rule.min, rule.integer ? Math.round(v) : v));
+    if (repaired !== v) fixed.push(field);
+    features[field] = repaired;
+  }
+
+  if (has("phase")) {
+    const v = PHASES.find(p => String(p.value) === String(input.phase).trim());
+    if (v) features.phase = v.value; else fixed.push("phase");
+  }
+
+  const choose = (field, options) => {
+    if (!has(field)) return;
+    const v = options.find(o => o.toLowerCase() === String(input[field]).trim().toLowerCase());
+    if (v) features[field] = v; else fixed.push(field);
+  };
+  choose("techType", TECHS);
+  choose("zone", ZONES);
+  choose("county", COUNTIES);
+
+  for (const field of BOOLEANS) {
+    if (!has(field)) continue;
+    const v = String(input[field]).trim().toLowerCase();
+    if (["1", "true", "yes"].includes(v))      features[field] = true;
+    else if (["0", "false", "no"].includes(v)) features[field] = false;
+    else fixed.push(field);
+  }
+
+  if (has("projectName")) features.projectName = String(input.projectName).slice(0, 200);
+  if (has("inr"))         features.inr = String(input.inr).slice(0, 20);
+  if (has("poi"))         features.poi = String(input.poi).slice(0, 100);
+  return { features, fixed };
+}